@@ -1,3 +1,10 @@
 // Stub CJS loader for the Logo interpreter module
 require = require('esm')(module);
-module.exports = require('./src/logo.js');
+module.exports = Object.assign({},
+    require('./src/logo.js'),
+    require('./src/parser.js'),
+    require('./src/lint.js'),
+    require('./src/format.js'),
+    require('./src/random.js'),
+    require('./src/storage.js'),
+    require('./src/node-storage.js'));
@@ -7,7 +7,9 @@
  * @license ISC
  */
 
-import {Interpreter, List} from './logo.js';
+import {Interpreter, List, BadInputError, animationFrameYield} from './logo.js';
+import {format} from './format.js';
+import {LocalStorage} from './storage.js';
 import {TurtleGraphics} from './turtle.js';
 
 let el = document.getElementById('logo-display');
@@ -17,9 +19,16 @@ let elInput = document.getElementById('logo-input');
 let elRun = document.getElementById('logo-run');
 let elPause = document.getElementById('logo-pause');
 let elBreak = document.getElementById('logo-break');
+let elStep = document.getElementById('logo-step');
+let elFormat = document.getElementById('logo-format');
 
 let turtle = new TurtleGraphics(el, 640, 480);
-let logo = new Interpreter();
+// Turtle commands don't wait on anything, so drawing loops
+// run synchronously in compiled mode, between yields.
+let logo = new Interpreter({compiled: true});
+// Source ranges of instruction lists and/or didn't run,
+// shown struck out in the debug view
+let skipped = [];
 
 function print(className, str) {
     let div = document.createElement('div');
@@ -30,37 +39,37 @@ function print(className, str) {
     elConsole.scrollTop = div.offsetTop;
 }
 
+function updateButtons() {
+    // Launched tasks may still be going after execute() is done
+    let running = logo.running;
+    elPause.disabled = !running;
+    elBreak.disabled = !running;
+    if (!running) {
+        elStep.disabled = true;
+        elPause.textContent = 'Pause';
+    }
+}
+
 elRun.addEventListener('click', function(event) {
+    // Runs after any code already running, so the
+    // input stays open.
     let source = elInput.value;
-    elRun.disabled = true;
-    elInput.disabled = true;
-    elPause.disabled = false;
-    elBreak.disabled = false;
-    elPause.textContent = 'Pause';
     print('input', source);
+    skipped = [];
     logo.execute(source)
-        .then(() => {
-            elInput.disabled = false;
-            elRun.disabled = false;
-            elPause.disabled = true;
-            elBreak.disabled = true;
-            elPause.textContent = 'Pause';
-        }).catch((e) => {
+        .catch((e) => {
             console.log(e);
             print('error', e);
-            elInput.disabled = false;
-            elRun.disabled = false;
-            elPause.disabled = true;
-            elBreak.disabled = true;
-            elPause.textContent = 'Pause';
-        });
+        }).then(updateButtons);
+    updateButtons();
 });
 
 elPause.addEventListener('click', function(event) {
-    // This will cause our observer to delay
-    // arbitrarily long on the next instruction.
+    // The interpreter will stop before the next call,
+    // and let us know through onpaused.
     if (logo.paused) {
         this.textContent = 'Pause';
+        elStep.disabled = true;
         logo.continue();
     } else {
         this.textContent = 'Continue';
@@ -68,93 +77,193 @@ elPause.addEventListener('click', function(event) {
     }
 });
 
+elStep.addEventListener('click', function(event) {
+    this.disabled = true;
+    logo.stepInto();
+});
+
+elFormat.addEventListener('click', function(event) {
+    // Knows the demo's procedures through the interpreter
+    try {
+        elInput.value = format(elInput.value, {interpreter: logo});
+    } catch (e) {
+        print('error', e);
+    }
+});
+
 elBreak.addEventListener('click', function(event) {
     // This will cause an exception to throw
     // on the original promise.
-    logo.break();
+    if (logo.running) {
+        logo.break();
+    }
+    updateButtons();
 });
 
 let api = {
     // Turtle commands
-    cs: async function() {
+    cs: function() {
         turtle.clearScreen();
     },
-    xcor: async function() {
+    xcor: function() {
         return turtle.x;
     },
-    ycor: async function() {
+    ycor: function() {
         return turtle.y;
     },
-    pos: async function() {
+    pos: function() {
         return List.of(turtle.x, turtle.y);
     },
-    setpos: async function(list) {
+    setpos: function(list) {
         if (!(list instanceof List)) {
-            throw new TypeError('list must be a list');
+            throw new BadInputError('setpos', list);
         }
         if (list.isEmpty() || list.tail.isEmpty()) {
-            throw new TypeError('list must have two elements');
+            throw new BadInputError('setpos', list);
         }
         let x = Number(list.head);
         let y = Number(list.tail.head);
         turtle.setPos(x, y);
     },
-    heading: async function() {
+    heading: function() {
         return turtle.heading;
     },
-    seth: async function(val) {
+    seth: function(val) {
         turtle.heading = Number(val);
     },
-    forward: async function(dist) {
+    forward: function(dist) {
         turtle.forward(+dist);
     },
-    back: async function(dist) {
+    back: function(dist) {
         turtle.back(+dist);
     },
-    right: async function(deg) {
+    right: function(deg) {
         turtle.right(+deg);
     },
-    left: async function(deg) {
+    left: function(deg) {
         turtle.left(+deg);
     },
-    up: async function() {
+    up: function() {
         turtle.up();
     },
-    down: async function() {
+    down: function() {
         turtle.down();
     },
-    color: async function(color) {
+    color: function(color) {
         turtle.setColor('' + color);
     },
 };
 
 logo.procedureScope.bindValues(api);
+logo.storage = new LocalStorage();
 logo.onprint = async function(str) {
     print('output', str);
 };
+// Keys pressed on the page while code runs, for readchar and keyp
+let typeahead = '';
+document.addEventListener('keydown', function(event) {
+    if (!logo.running || event.target.tagName === 'INPUT' || event.target === elInput) {
+        return;
+    }
+    if (event.key.length === 1) {
+        typeahead += event.key;
+    } else if (event.key === 'Enter') {
+        typeahead += '\n';
+    }
+});
+
+// Inline prompt at the end of the console, taking a line or
+// the given number of characters, starting with any text given.
+function inlinePrompt(kind, count, signal, initial='') {
+    return new Promise((resolve) => {
+        let div = document.createElement('div');
+        div.className = 'prompt';
+        let field = document.createElement('input');
+        field.value = initial;
+        div.appendChild(field);
+        elConsole.appendChild(div);
+        elConsole.scrollTop = div.offsetTop;
+        field.focus();
 
-async function delay(ms) {
-    await new Promise((resolve, reject) => {
-        let id = setTimeout(() => {
-            logo.onbreak = null;
-            resolve();
-        }, ms);
-        logo.onbreak = (reason) => {
-            clearTimeout(id);
-            reject(reason);
+        let done = (text) => {
+            elConsole.removeChild(div);
+            print('input', text);
+            resolve(text);
         };
+        field.addEventListener('keydown', function(event) {
+            if (event.key === 'Enter' && kind === 'line') {
+                done(field.value);
+            } else if (kind === 'chars') {
+                let char = (event.key === 'Enter') ? '\n' : event.key;
+                if (char.length === 1) {
+                    event.preventDefault();
+                    field.value += char;
+                    if (field.value.length >= count) {
+                        done(field.value);
+                    }
+                }
+            }
+        });
+        signal.addEventListener('abort', function() {
+            elConsole.removeChild(div);
+        });
     });
 }
 
-logo.oncall = async function(func, args, body, node) {
-    // warning: template command calls won't have a body/node currently
-    updateBody(body, node);
-    await delay(0);
+logo.oninput = async function(kind, count, signal) {
+    if (kind === 'ready') {
+        return typeahead.length > 0;
+    }
+    if (kind === 'chars' && typeahead.length >= count) {
+        let chars = typeahead.slice(0, count);
+        typeahead = typeahead.slice(count);
+        return chars;
+    }
+    if (kind === 'chars') {
+        // Take what was typed ahead, and prompt for the rest
+        let chars = typeahead;
+        typeahead = '';
+        return chars + await inlinePrompt(kind, count - chars.length, signal);
+    }
+    let newline = typeahead.indexOf('\n');
+    if (newline !== -1) {
+        // A whole line was typed ahead
+        let line = typeahead.slice(0, newline);
+        typeahead = typeahead.slice(newline + 1);
+        print('input', line);
+        return line;
+    }
+    // Carry on from what was typed ahead
+    let chars = typeahead;
+    typeahead = '';
+    return await inlinePrompt(kind, count, signal, chars);
+};
+
+logo.ontaskerror = function(e) {
+    console.log(e);
+    print('error', e);
 };
+logo.ontaskdone = updateButtons;
 
-logo.onvalue = async function(val, body, node) {
-    updateBody(body, node);
-    await delay(0);
+// Let the page paint and take input every 8 ms of running code,
+// showing where we are in the source.
+logo.yieldTime = 8;
+logo.onyield = async function() {
+    updateBody(undefined, logo.currentContext().node);
+    await animationFrameYield();
+};
+
+logo.onskip = async function(list, node) {
+    let map = logo.sourceForNode(node);
+    if (map) {
+        skipped.push({source: map.source, start: map.start, end: map.end, className: 'skipped'});
+    }
+};
+
+logo.onpaused = function(reason, node) {
+    updateBody(undefined, node);
+    elPause.textContent = 'Continue';
+    elStep.disabled = false;
 };
 
 function node2html(node, map) {
@@ -193,13 +302,31 @@ function updateBody(body, node) {
     let map = logo.sourceForNode(node);
     if (map) {
         let source = map.source;
-        let before = span('', source.substr(0, map.start));
-        let active = span('active', source.substr(map.start, map.end - map.start));
-        let after = span('', source.substr(map.end));
+        // A branch skipped before may be running now
+        skipped = skipped.filter((mark) => {
+            return mark.source !== source || mark.end <= map.start || mark.start >= map.end;
+        });
+        let marks = skipped.filter((mark) => mark.source === source);
+        marks.push({start: map.start, end: map.end, className: 'active'});
+        marks.sort((a, b) => a.start - b.start);
+
         elDebug.innerHTML = '';
-        elDebug.appendChild(before);
-        elDebug.appendChild(active);
-        elDebug.appendChild(after);
+        let pos = 0;
+        let active;
+        for (let mark of marks) {
+            if (mark.start < pos) {
+                // Inside a skipped branch already shown
+                continue;
+            }
+            let el = span(mark.className, source.substr(mark.start, mark.end - mark.start));
+            if (mark.className === 'active') {
+                active = el;
+            }
+            elDebug.appendChild(span('', source.substr(pos, mark.start - pos)));
+            elDebug.appendChild(el);
+            pos = mark.end;
+        }
+        elDebug.appendChild(span('', source.substr(pos)));
 
         if (active.offsetTop < elDebug.scrollTop || active.offsetTop + active.offsetHeight > elDebug.scrollTop + elDebug.clientHeight) {
             elDebug.scrollTop = Math.max(0, active.offsetTop - 40);
@@ -0,0 +1,405 @@
+/**
+ * Pretty-printer for Logo source text.
+ * See `readme.md` for details.
+ *
+ * @file format.js
+ * @author Brion Vibber <brion@pobox.com>
+ * @license ISC
+ */
+
+import {Interpreter, List, LogoSyntaxError, formatLine} from './logo.js';
+import {parse} from './parser.js';
+import {isCodeInput} from './lint.js';
+
+/**
+ * Lay out Logo code with canonical indentation: procedure bodies
+ * and instruction lists that span lines are indented a level, and
+ * instructions too long for the line width carry on over indented
+ * continuation lines. Comments are kept. Instructions written on
+ * the same line stay together as long as they fit.
+ *
+ * Instruction boundaries and instruction lists are told apart from
+ * data the way the interpreter would, from the number of inputs
+ * each procedure takes. Without an interpreter, the builtins and
+ * procedures defined in the source are known. Calls to others are
+ * taken to have the inputs up to the next word, so `fd 10 rt 90`
+ * reads as two instructions. Formatting output again gives the
+ * same text.
+ *
+ * @param {string|List} input - source text, or a list of instructions;
+ *                              a list of lists is taken as lines
+ * @param {object} [options]
+ * @param {string} [options.name] - to take a list as the text of the
+ *        procedure with this name, as `text` outputs: its inputs,
+ *        then its lines
+ * @param {number} [options.width=80] - line width to fit code into
+ * @param {number} [options.indent=2] - spaces per indent level
+ * @param {string} [options.brackets='break'] - for instruction lists
+ *        that span lines, 'break' to put the closing bracket on a line
+ *        of its own, or 'hug' to keep both brackets next to the code
+ * @param {Interpreter} [options.interpreter] - for procedures
+ *                                              already defined
+ * @returns {string}
+ * @throws {LogoSyntaxError} if the source doesn't parse
+ */
+export function format(input, {width=80, indent=2, brackets='break', interpreter, name}={}) {
+    let source = input;
+    // Put each instruction on a line of its own, as a plain
+    // list has no line breaks of its own to keep.
+    let split = false;
+    if (input instanceof List && name !== undefined) {
+        let [inputs, ...body] = Array.from(input);
+        if (!(inputs instanceof List) || !body.every((item) => item instanceof List)) {
+            throw new TypeError('Procedure text must be a list of inputs, then lines');
+        }
+        let title = List.of('to', name, ...Array.from(inputs, (arg) => ':' + arg));
+        source = [title, ...body].map(formatLine).concat('end').join('\n');
+    } else if (input instanceof List) {
+        let items = Array.from(input);
+        if (items.length && items.every((item) => item instanceof List)) {
+            source = items.map(formatLine).join('\n');
+        } else {
+            source = formatLine(input);
+            split = true;
+        }
+    }
+    let program = parse(source);
+    if (program.errors.length) {
+        throw LogoSyntaxError.fromProgram(program);
+    }
+    if (!interpreter) {
+        // Knows the builtins
+        interpreter = new Interpreter();
+    }
+    let comments = program.comments;
+    let sourceLines = source.split(/\r\n|\r|\n/);
+
+    // Call structure
+
+    let definitions = new Map();
+    for (let node of program.body) {
+        if (node.type === 'to') {
+            definitions.set(node.name.value, node.inputs.length);
+        }
+    }
+
+    let arity = (name) => {
+        if (definitions.has(name)) {
+            return definitions.get(name);
+        }
+        let binding = interpreter.procedureScope.getBinding(name);
+        if (binding) {
+            return binding.value.length;
+        }
+        if (name.match(/^\?[0-9]+$/)) {
+            return 0;
+        }
+        return undefined;
+    };
+
+    // Lists that are run as code
+    let codeLists = new Set();
+
+    let markCode = (name, index, node) => {
+        if (node.type !== 'list' || definitions.has(name)) {
+            return;
+        }
+        let binding = interpreter.procedureScope.getBinding(name);
+        if (binding && isCodeInput(binding.value, index)) {
+            codeLists.add(node);
+        }
+    };
+
+    // Index after the expression starting at items[i]
+    let expression = (items, i) => {
+        let node = items[i];
+        let next = i + 1;
+        if (node.type === 'word' || node.type === 'operator') {
+            next = call(items, i);
+        } else if (node.type === 'group') {
+            group(node);
+        }
+        while (next < items.length && items[next].type === 'operator') {
+            next = (next + 1 < items.length) ? expression(items, next + 1) : next + 1;
+        }
+        return next;
+    };
+
+    let call = (items, i) => {
+        let node = items[i];
+        let name = node.value;
+        let count = (node.type === 'operator' && name === '-') ? 1 : arity(name);
+        let next = i + 1;
+        if (count === undefined) {
+            // Don't know; take what comes before the next call,
+            // wherever the lines break
+            while (next < items.length && items[next].type !== 'word' && items[next].type !== 'to') {
+                markCode(name, next - i - 1, items[next]);
+                next++;
+            }
+            return next;
+        }
+        for (let index = 0; index < count && next < items.length; index++) {
+            markCode(name, index, items[next]);
+            next = expression(items, next);
+        }
+        return next;
+    };
+
+    let group = (node) => {
+        let [head, ...rest] = node.items;
+        if (head && (head.type === 'word' || head.type === 'operator')) {
+            let next = 0;
+            rest.forEach((item, index) => markCode(head.value, index, item));
+            while (++next < node.items.length) {
+                next = expression(node.items, next) - 1;
+            }
+        } else if (head) {
+            expression(node.items, 0);
+        }
+    };
+
+    // Split a sequence into instructions, as [start, end) indexes
+    let instructions = (items) => {
+        let ranges = [];
+        let i = 0;
+        while (i < items.length) {
+            let next = (items[i].type === 'to') ? i + 1 : expression(items, i);
+            ranges.push([i, next]);
+            i = next;
+        }
+        return ranges;
+    };
+
+    // Output
+
+    let lines = [];
+    // Line being written, or null between lines
+    let line = null;
+    let space = false;
+    // Set after a comment, which runs to the end of the line
+    let mustBreak = false;
+    // Indent levels of instructions and their continuation lines
+    let level = 0;
+    let cont = 1;
+    // Source line of the last thing written
+    let lastLine = 0;
+    // Output line where the current block began
+    let blockStart = 0;
+    let nextComment = 0;
+
+    let pad = (depth) => ' '.repeat(depth * indent);
+
+    let endLine = () => {
+        if (line !== null) {
+            lines.push(line.replace(/\s+$/, ''));
+            line = null;
+        }
+    };
+
+    let startLine = (depth) => {
+        endLine();
+        line = pad(depth);
+        space = false;
+        mustBreak = false;
+    };
+
+    // Keep a blank line that was before the given source line,
+    // other than at the start of a block
+    let keepBlank = (sourceLine) => {
+        let before = sourceLines[sourceLine - 2];
+        if (before !== undefined && before.trim() === '' &&
+            lines.length > blockStart && lines[lines.length - 1] !== '') {
+            endLine();
+            lines.push('');
+        }
+    };
+
+    let flushComments = (offset) => {
+        while (nextComment < comments.length && comments[nextComment].span.start < offset) {
+            let comment = comments[nextComment++];
+            if (line !== null && line.trim() && comment.span.line === lastLine) {
+                // Trailing a line of code
+                line += ' ' + comment.text;
+                mustBreak = true;
+            } else {
+                endLine();
+                keepBlank(comment.span.line);
+                lines.push(pad(level) + comment.text);
+            }
+            lastLine = comment.span.line;
+        }
+    };
+
+    let write = (text, offset, sourceLine, {before=true, wrap=true}={}) => {
+        flushComments(offset);
+        if (line === null || mustBreak) {
+            startLine(cont);
+        } else if (space && before) {
+            if (wrap && line.trim() && line.length + 1 + text.length > width) {
+                startLine(cont);
+            } else {
+                line += ' ';
+            }
+        }
+        line += text;
+        space = true;
+        lastLine = sourceLine;
+    };
+
+    let sourceText = (node) => {
+        return source.slice(node.span.start, node.span.end);
+    };
+
+    // Length of a node written out on one line
+    let inlineLength = (node) => {
+        if (Array.isArray(node.items)) {
+            let inner = node.items.map(inlineLength);
+            let length = inner.reduce((a, b) => a + b, 0) + Math.max(inner.length - 1, 0) + 2;
+            if (node.type === 'array') {
+                length += sourceText(node).length - sourceText(node).lastIndexOf('}') - 1;
+            }
+            return length;
+        }
+        if (node.type === 'to') {
+            return Infinity;
+        }
+        return sourceText(node).length;
+    };
+
+    let hasComments = (node) => {
+        return comments.some((comment) => {
+            return comment.span.start > node.span.start && comment.span.start < node.span.end;
+        });
+    };
+
+    // Whether an instruction list goes over several lines
+    let breaks = (node) => {
+        if (!codeLists.has(node) || !node.items.length) {
+            return false;
+        }
+        if (node.span.line !== node.span.endLine || hasComments(node)) {
+            return true;
+        }
+        let used = (line === null) ? pad(level).length : line.length + 1;
+        return used + inlineLength(node) > width;
+    };
+
+    let node = (item) => {
+        switch (item.type) {
+            case 'to':
+                definition(item);
+                break;
+            case 'list':
+                if (breaks(item)) {
+                    block(item);
+                } else if (!codeLists.has(item) && item.span.line === item.span.endLine && !hasComments(item)) {
+                    // Data is kept as written
+                    write(sourceText(item), item.span.start, item.span.endLine);
+                } else {
+                    inline(item, '[', ']');
+                }
+                break;
+            case 'group':
+                inline(item, '(', ')');
+                break;
+            case 'array': {
+                let text = sourceText(item);
+                inline(item, '{', text.slice(text.lastIndexOf('}')));
+                break;
+            }
+            default:
+                write(sourceText(item), item.span.start, item.span.endLine);
+        }
+    };
+
+    let inline = (item, open, close) => {
+        write(open, item.span.start, item.span.line);
+        space = false;
+        item.items.forEach(node);
+        write(close, item.span.end - 1, item.span.endLine, {before: false});
+    };
+
+    // Whether the first instruction of a list fits after its "["
+    let fitsFirst = (item) => {
+        let [[start, end]] = instructions(item.items);
+        let length = item.items.slice(start, end).reduce((sum, node) => sum + 1 + inlineLength(node), 0);
+        let used = (line === null || mustBreak) ? pad(cont).length : line.length + (space ? 1 : 0);
+        return used + length <= width;
+    };
+
+    // Instruction list over several lines. Hugging brackets keep
+    // the first instruction after the "[" only if it fits whole.
+    let block = (item) => {
+        let outer = {level, cont, blockStart};
+        let hug = (brackets === 'hug') && fitsFirst(item);
+        write('[', item.span.start, item.span.line);
+        space = false;
+        blockStart = lines.length + (hug ? 0 : 1);
+        sequence(item.items, outer.level + 1, hug);
+        flushComments(item.span.end - 1);
+        level = outer.level;
+        if (hug && !mustBreak) {
+            write(']', item.span.end - 1, item.span.endLine, {before: false});
+        } else {
+            startLine(outer.level);
+            write(']', item.span.end - 1, item.span.endLine);
+        }
+        cont = outer.cont;
+        blockStart = outer.blockStart;
+    };
+
+    let definition = (item) => {
+        write(sourceText(item.keyword), item.keyword.span.start, item.keyword.span.line);
+        write(sourceText(item.name), item.name.span.start, item.name.span.line, {wrap: false});
+        for (let input of item.inputs) {
+            write(sourceText(input), input.span.start, input.span.line, {wrap: false});
+        }
+        let outer = {level, cont, blockStart};
+        blockStart = lines.length + 1;
+        sequence(item.body, outer.level + 1, false);
+        flushComments(item.end.span.start);
+        level = outer.level;
+        startLine(outer.level);
+        write(sourceText(item.end), item.end.span.start, item.end.span.line);
+        cont = outer.cont;
+        blockStart = outer.blockStart;
+    };
+
+    // Write instructions at the given indent level. If `join` is set,
+    // the first goes on the line already begun.
+    let sequence = (items, depth, join) => {
+        let previous;
+        // Output line the previous instruction began on
+        let began;
+        level = depth;
+        for (let [start, end] of instructions(items)) {
+            let first = items[start];
+            let last = items[end - 1];
+            flushComments(first.span.start);
+            let together = join || (!split && previous !== undefined &&
+                first.span.line === previous.span.endLine &&
+                first.type !== 'to' && previous.type !== 'to');
+            if (together && !join) {
+                let length = items.slice(start, end).reduce((sum, item) => sum + 1 + inlineLength(item), 0);
+                together = line !== null && !mustBreak && lines.length === began &&
+                    line.length + length <= width;
+            }
+            if (!together) {
+                keepBlank(first.span.line);
+                startLine(depth);
+            }
+            join = false;
+            began = lines.length;
+            level = depth;
+            cont = depth + 1;
+            items.slice(start, end).forEach(node);
+            previous = last;
+        }
+    };
+
+    sequence(program.body, 0, false);
+    flushComments(Infinity);
+    endLine();
+    return lines.length ? lines.join('\n') + '\n' : '';
+}
@@ -0,0 +1,419 @@
+/**
+ * Static checks for Logo source text.
+ * See `readme.md` for details.
+ *
+ * Works out the call structure of the code the way the interpreter
+ * would run it, from the number of inputs each procedure takes,
+ * to find mistakes before they happen at run time.
+ *
+ * @file lint.js
+ * @author Brion Vibber <brion@pobox.com>
+ * @license ISC
+ */
+
+import {parse} from './parser.js';
+
+/**
+ * Whether a list given as the numbered input of a procedure
+ * is run as code, as the instruction list of `repeat` is.
+ *
+ * @param {function} func - procedure, as bound in an interpreter
+ * @param {number} index - 0-based input position
+ * @returns {boolean}
+ */
+export function isCodeInput(func, index) {
+    let inputs = func.codeInputs;
+    return inputs === true || (Array.isArray(inputs) && inputs.includes(index));
+}
+
+// Words that give variables values, and which of their
+// inputs name them; true for all of them.
+const binders = {
+    'make': [0],
+    'name': [1],
+    'local': true,
+    'global': true,
+};
+
+const outputWords = ['output', 'op'];
+const stopWords = ['stop', 'output', 'op'];
+
+/**
+ * @typedef {object} Warning
+ * @property {string} code - kind of problem: 'syntax', 'unknown-procedure',
+ *           'not-enough-inputs', 'too-many-inputs', 'didnt-output',
+ *           'no-use-for-value', 'too-much-in-parens', 'stop-outside-procedure'
+ *           or 'unbound-variable'
+ * @property {string} message
+ * @property {Span} span - source range, as from parse()
+ * @property {string} [procName] - procedure the problem is in, if any
+ */
+
+/**
+ * Check Logo source for mistakes that would cause errors when run:
+ * syntax errors, unknown procedures, wrong numbers of inputs, inputs
+ * that don't output, values left unused, `stop` or `output` outside
+ * any procedure, and variables that are never given a value.
+ *
+ * Procedures are looked up in the source's own `to` definitions,
+ * then in the interpreter's procedureScope. Variables count as
+ * given a value if any code in the source or the interpreter's
+ * procedures binds them, or they're already set globally; with
+ * dynamic scoping, it can't be told for sure which call will.
+ *
+ * @param {string} source
+ * @param {Interpreter} [interpreter] - for procedures and variables
+ *                                      already defined
+ * @returns {Warning[]} in source order
+ */
+export function lint(source, interpreter=undefined) {
+    let program = parse(source);
+    let warnings = program.errors.map(({message, span}) => {
+        return {code: 'syntax', message, span};
+    });
+
+    // Procedure being checked, for reporting
+    let procName;
+
+    let warn = (code, message, node) => {
+        warnings.push({code, message, span: node.span, procName});
+    };
+
+    let describe = (node) => {
+        return source.slice(node.span.start, node.span.end);
+    };
+
+    // Procedures defined in the source
+    let definitions = new Map();
+    for (let node of program.body) {
+        if (node.type === 'to') {
+            let macro = node.keyword.value === '.macro';
+            definitions.set(node.name.value, {
+                arity: node.inputs.length,
+                outputs: macro ? undefined : nodesMention(node.body, outputWords),
+                user: true,
+            });
+        }
+    }
+
+    let lookup = (name) => {
+        if (definitions.has(name)) {
+            return definitions.get(name);
+        }
+        let binding = interpreter && interpreter.procedureScope.getBinding(name);
+        if (binding) {
+            let func = binding.value;
+            let user = Array.isArray(func.argNames);
+            let outputs;
+            if (user && !func.macro) {
+                outputs = listMentions(func.lines, outputWords);
+            } else if (func.outputs !== undefined) {
+                // Builtin; null if it depends on the code it runs
+                outputs = (func.outputs === null) ? undefined : func.outputs;
+            }
+            return {arity: func.length, outputs, user, func};
+        }
+        if (name.match(/^\?[0-9]+$/)) {
+            // Template input, as ?1
+            return {arity: 0, outputs: true};
+        }
+        return null;
+    };
+
+    // Variables given values anywhere
+    let bound = new Set();
+    // Set if a variable is made with a computed name, which
+    // might be any of them.
+    let dynamic = false;
+    collectBindings(program.body, bound, () => {
+        dynamic = true;
+    });
+    if (interpreter) {
+        for (let name of Object.keys(interpreter.globalScope.bindings)) {
+            bound.add(name);
+        }
+        for (let name of Object.keys(interpreter.procedureScope.bindings)) {
+            let func = interpreter.procedureScope.getBinding(name).value;
+            if (Array.isArray(func.argNames)) {
+                func.argNames.forEach((arg) => bound.add(arg));
+                collectListBindings(func.lines, bound, () => {
+                    dynamic = true;
+                });
+            }
+        }
+    }
+
+    let checkStop = (name, node) => {
+        if (procName === undefined && stopWords.includes(name) && !definitions.has(name)) {
+            warn('stop-outside-procedure', 'Can only use stop or output inside a procedure', node);
+        }
+    };
+
+    // Check an input given to a procedure
+    let checkInput = (result, node, name, index) => {
+        if (result.value === false) {
+            let head = node;
+            if (node.type === 'group' && node.items.length) {
+                head = node.items[0];
+            }
+            warn('didnt-output', describe(head) + ' didn\'t output to ' + name, node);
+        }
+        if (node.type === 'list') {
+            let info = lookup(name);
+            if (info && info.func && isCodeInput(info.func, index)) {
+                instructions(node.items, true);
+            }
+        }
+    };
+
+    // A sequence of instructions. Unless `last` is set, a value
+    // left over at the end is unused.
+    let instructions = (items, last) => {
+        let i = 0;
+        while (i < items.length) {
+            let node = items[i];
+            if (node.type === 'to') {
+                definition(node);
+                i++;
+                continue;
+            }
+            let result = expression(items, i);
+            if (result.value === true && (result.next < items.length || !last)) {
+                warn('no-use-for-value', 'You don\'t say what to do with ' + describe(node), node);
+            }
+            i = result.next;
+        }
+    };
+
+    let definition = (node) => {
+        procName = node.name.value;
+        instructions(node.body, true);
+        procName = undefined;
+    };
+
+    // Expression starting at items[i], with any infix operators.
+    // Gives the index after it, and whether it outputs a value:
+    // true, false, or undefined if it can't be told.
+    let expression = (items, i) => {
+        let node = items[i];
+        let result;
+        switch (node.type) {
+            case 'group':
+                result = {next: i + 1, value: group(node)};
+                break;
+            case 'variable':
+                if (!dynamic && !bound.has(node.name)) {
+                    warn('unbound-variable', node.name + ' is never given a value', node);
+                }
+                result = {next: i + 1, value: true};
+                break;
+            case 'number':
+            case 'quoted':
+            case 'list':
+            case 'array':
+                result = {next: i + 1, value: true};
+                break;
+            case 'operator':
+                if (node.value === '-') {
+                    // Unary minus
+                    result = call(items, i, {arity: 1, outputs: true});
+                    break;
+                }
+                result = call(items, i);
+                break;
+            default:
+                result = call(items, i);
+        }
+        while (result.next < items.length && items[result.next].type === 'operator') {
+            let op = items[result.next];
+            if (result.next + 1 >= items.length) {
+                warn('not-enough-inputs', 'Not enough inputs to ' + op.value, op);
+                return {next: items.length, value: true};
+            }
+            let right = expression(items, result.next + 1);
+            checkInput(right, items[result.next + 1], op.value, 1);
+            result = {next: right.next, value: true};
+        }
+        return result;
+    };
+
+    // Procedure call with a fixed number of inputs
+    let call = (items, i, info=undefined) => {
+        let node = items[i];
+        let name = node.value;
+        if (name === 'to' || name === '.macro') {
+            // Definitions in instruction lists aren't checked
+            return {next: items.length, value: undefined};
+        }
+        info = info || lookup(name);
+        let next = i + 1;
+        if (!info) {
+            warn('unknown-procedure', 'I don\'t know how to ' + name, node);
+            // Take any inputs it may have had along with it
+            while (next < items.length && items[next].type !== 'word') {
+                next++;
+            }
+            return {next, value: undefined};
+        }
+        checkStop(name, node);
+        for (let index = 0; index < info.arity; index++) {
+            if (next >= items.length) {
+                warn('not-enough-inputs', 'Not enough inputs to ' + name, node);
+                break;
+            }
+            let result = expression(items, next);
+            checkInput(result, items[next], name, index);
+            next = result.next;
+        }
+        return {next, value: info.outputs};
+    };
+
+    // Parenthesized call with any number of inputs, or expression
+    let group = (node) => {
+        let items = node.items;
+        if (!items.length) {
+            return undefined;
+        }
+        let head = items[0];
+        let name = head.value;
+        if (head.type === 'word' || head.type === 'operator') {
+            let info = (name === '-') ? {arity: 1, outputs: true} : lookup(name);
+            if (!info) {
+                warn('unknown-procedure', 'I don\'t know how to ' + name, head);
+                return undefined;
+            }
+            checkStop(name, head);
+            let count = 0;
+            let next = 1;
+            while (next < items.length) {
+                let result = expression(items, next);
+                checkInput(result, items[next], name, count);
+                count++;
+                next = result.next;
+            }
+            if (count < info.arity) {
+                warn('not-enough-inputs', 'Not enough inputs to ' + name, head);
+            } else if (info.user && count > info.arity) {
+                warn('too-many-inputs', 'Too many inputs to ' + name, head);
+            }
+            return info.outputs;
+        }
+        let result = expression(items, 0);
+        if (result.next < items.length) {
+            warn('too-much-in-parens', 'Too much inside ()\'s', node);
+        }
+        return result.value;
+    };
+
+    instructions(program.body, false);
+
+    warnings.sort((a, b) => a.span.start - b.span.start);
+    return warnings;
+}
+
+// Whether any of the nodes, or nodes inside them, is one of the words
+function nodesMention(nodes, words) {
+    return nodes.some((node) => {
+        if (node.type === 'word') {
+            return words.includes(node.value);
+        }
+        return Array.isArray(node.items) && nodesMention(node.items, words);
+    });
+}
+
+// The same, for Lists of an already defined procedure
+function listMentions(list, words) {
+    for (let item of list) {
+        if (typeof item === 'string') {
+            if (words.includes(item)) {
+                return true;
+            }
+        } else if (item && typeof item === 'object' && item[Symbol.iterator]) {
+            if (listMentions(item, words)) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Collect the names of variables given values by the nodes:
+ * inputs of `make`, `name`, `local` and `global`, `for` control
+ * variables, and the inputs of procedure-text templates.
+ *
+ * @param {Node[]} nodes
+ * @param {Set<string>} names - to add to
+ * @param {function} ondynamic - called if a name is computed
+ */
+function collectBindings(nodes, names, ondynamic) {
+    nodes.forEach((node, i) => {
+        if (node.type === 'to') {
+            node.inputs.forEach((input) => names.add(input.name));
+            collectBindings(node.body, names, ondynamic);
+            return;
+        }
+        if (node.type === 'word' && binders.hasOwnProperty(node.value)) {
+            let inputs = binders[node.value];
+            let count = (inputs === true) ? nodes.length - i - 1 : Math.max(...inputs) + 1;
+            for (let index = 0; index < count && i + 1 + index < nodes.length; index++) {
+                if (inputs !== true && !inputs.includes(index)) {
+                    continue;
+                }
+                let input = nodes[i + 1 + index];
+                if (input.type === 'quoted') {
+                    names.add(input.value);
+                } else if (input.type === 'list' && node.value !== 'make') {
+                    input.items.forEach((item) => names.add(item.text));
+                } else if (inputs !== true) {
+                    ondynamic();
+                } else {
+                    break;
+                }
+            }
+        }
+        if (node.type === 'word' && node.value === 'for') {
+            let control = nodes[i + 1];
+            if (control && control.type === 'list' && control.items.length) {
+                names.add(control.items[0].text);
+            }
+        }
+        if (node.type === 'list') {
+            let first = node.items[0];
+            if (first && first.type === 'list' && node.items.length > 1 &&
+                first.items.every((item) => item.type === 'word')) {
+                // Procedure-text template, as [[x] [output :x * 2]]
+                first.items.forEach((item) => names.add(item.value));
+            }
+        }
+        if (Array.isArray(node.items)) {
+            collectBindings(node.items, names, ondynamic);
+        }
+    });
+}
+
+// The same, for Lists of an already defined procedure
+function collectListBindings(list, names, ondynamic) {
+    let items = Array.from(list);
+    items.forEach((item, i) => {
+        if (typeof item === 'string' && binders.hasOwnProperty(item)) {
+            let inputs = binders[item];
+            let index = (inputs === true) ? 0 : inputs[0];
+            let input = items[i + 1 + index];
+            if (typeof input === 'string' && input[0] === '"') {
+                names.add(input.slice(1));
+            } else if (inputs !== true) {
+                ondynamic();
+            }
+        }
+        if (item === 'for' && items[i + 1] && typeof items[i + 1] === 'object') {
+            let control = Array.from(items[i + 1]);
+            if (typeof control[0] === 'string') {
+                names.add(control[0]);
+            }
+        }
+        if (item && typeof item === 'object' && item[Symbol.iterator]) {
+            collectListBindings(item, names, ondynamic);
+        }
+    });
+}
@@ -7,14 +7,18 @@
  * @license ISC
  */
 
+import {SeededRandom} from './random.js';
+import {MemoryStorage} from './storage.js';
+import * as parser from './parser.js';
+import {lint} from './lint.js';
 
 const reWhitespace = /^[ \t\n\r]$/;
-const reNewline = /^[\n\r]$/;
-const reDelimiters = /^[-+*\/\[\]()<>]$/;
-const reOperators =  /^[-+*\/<>]$/;
+const reDelimiters = /^[-+*\/\[\]{}()<>=^]$/;
+const reOperators =  /^(?:[-+*\/<>=^]|<=|>=|<>)$/;
 const reDigit = /^[0-9]$/;
 
 const precedence = {
+    '^': 15,
     '*': 10,
     '/': 10,
     '+': 5,
@@ -22,6 +26,9 @@ const precedence = {
     '<': 1,
     '>': 1,
     '=': 1,
+    '<=': 1,
+    '>=': 1,
+    '<>': 1,
 };
 
 function isNumber(val) {
@@ -32,6 +39,30 @@ function isString(val) {
     return typeof val === 'string';
 }
 
+// Procedure calls compiled code makes one inside another on the
+// JS stack before one waits for it to unwind. Each takes a few
+// dozen JS frames, and stacks run out after several hundred.
+const maxCompiledDepth = 100;
+
+const reNumeric = /^[-+]?([0-9]+\.?[0-9]*|\.[0-9]+)(e[-+]?[0-9]+)?$/i;
+
+/**
+ * Coerce a number or numeric word to a number, as Logo
+ * treats numeric words the same as numbers.
+ *
+ * @param {LogoValue} val
+ * @returns {number|undefined} undefined if not numeric
+ */
+function toNumber(val) {
+    if (isNumber(val)) {
+        return isNaN(val) ? undefined : val;
+    }
+    if (isString(val) && val.match(reNumeric)) {
+        return parseFloat(val);
+    }
+    return undefined;
+}
+
 function isQuoted(val) {
     if (isString(val) && val[0] === '"') {
         return true;
@@ -69,11 +100,156 @@ function isList(val) {
     return val instanceof List;
 }
 
+function isArray(val) {
+    return val instanceof LogoArray;
+}
+
 function isLiteral(val) {
-    return isList(val) || isBoolean(val) || isNumber(val)
+    return isList(val) || isArray(val) || isBoolean(val) || isNumber(val)
         || isQuoted(val) || isVariable(val);
 }
 
+// Procedures may give their result directly, or a promise of it
+// if they have to wait on something. Logo values are never promises.
+function isPromise(val) {
+    return val !== null && typeof val === 'object' && typeof val.then === 'function';
+}
+
+// Pass a result, or what it resolves to if a promise, on to func
+function andThen(val, func) {
+    if (isPromise(val)) {
+        return val.then(func);
+    }
+    return func(val);
+}
+
+/**
+ * Run a function, and a cleanup function once its result is
+ * settled, as with try/finally. Only goes async if the function
+ * gives a promise.
+ *
+ * @param {function} run
+ * @param {function} cleanup
+ * @param {function} [done] - makes the final result from run's
+ * @returns {*|Promise}
+ */
+function settle(run, cleanup, done=(val) => val) {
+    let result;
+    try {
+        result = run();
+    } catch (e) {
+        cleanup();
+        throw e;
+    }
+    if (isPromise(result)) {
+        return result.then((val) => {
+            cleanup();
+            return done(val);
+        }, (e) => {
+            cleanup();
+            throw e;
+        });
+    }
+    cleanup();
+    return done(result);
+}
+
+// Call iterate() until it gives false, synchronously for as long
+// as it doesn't give a promise.
+function loop(iterate) {
+    for (;;) {
+        let more = iterate();
+        if (isPromise(more)) {
+            return (async () => {
+                while (await more) {
+                    more = iterate();
+                }
+            })();
+        }
+        if (!more) {
+            return undefined;
+        }
+    }
+}
+
+// Offsets where each line begins, for the most recently seen sources
+const lineStartCache = new Map();
+const maxLineStartCache = 16;
+
+/**
+ * Offsets where each line of source text begins.
+ *
+ * @param {string} source
+ * @returns {number[]}
+ */
+function lineStarts(source) {
+    let starts = lineStartCache.get(source);
+    if (starts) {
+        return starts;
+    }
+    starts = [0];
+    for (let i = 0; i < source.length; i++) {
+        let char = source.charAt(i);
+        if (char === '\n' || (char === '\r' && source.charAt(i + 1) !== '\n')) {
+            starts.push(i + 1);
+        }
+    }
+    if (lineStartCache.size >= maxLineStartCache) {
+        lineStartCache.delete(lineStartCache.keys().next().value);
+    }
+    lineStartCache.set(source, starts);
+    return starts;
+}
+
+/**
+ * Find the 1-based line number of an offset in source text.
+ *
+ * @param {string} source
+ * @param {number} offset
+ * @returns {number}
+ */
+function sourceLine(source, offset) {
+    let starts = lineStarts(source);
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+        let mid = (low + high + 1) >> 1;
+        if (starts[mid] <= offset) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low + 1;
+}
+
+/**
+ * Find the line containing a given offset in source text.
+ *
+ * @param {string} source
+ * @param {number} offset
+ * @returns {object} 1-based line and column, and the line's start and end offsets
+ */
+function sourcePosition(source, offset) {
+    let starts = lineStarts(source);
+    let line = sourceLine(source, offset);
+    let lineStart = starts[line - 1];
+    let lineEnd = source.length;
+    if (line < starts.length) {
+        // Back up over the line break, which may be \r\n
+        lineEnd = starts[line] - 1;
+        if (source.charAt(lineEnd) === '\n' && source.charAt(lineEnd - 1) === '\r') {
+            lineEnd--;
+        }
+    }
+    return {
+        line,
+        column: offset - lineStart + 1,
+        lineStart,
+        lineEnd,
+    };
+}
+
 
 
 /**
@@ -303,17 +479,35 @@ export class List {
         return end;
     }
 
-    static equal(a, b) {
+    /**
+     * Compare two values for structural equality, descending
+     * into lists and arrays.
+     *
+     * @param {LogoValue} a
+     * @param {LogoValue} b
+     * @param {function} [wordEqual] - comparison for non-list values; strict by default
+     * @returns {boolean}
+     */
+    static equal(a, b, wordEqual=undefined) {
         if (a === b) {
             return true;
         }
+        if (isArray(a) && isArray(b)) {
+            if (a.origin !== b.origin || a.count() !== b.count()) {
+                return false;
+            }
+            return a.items.every((item, i) => List.equal(item, b.items[i], wordEqual));
+        }
+        if (isWord(a) && isWord(b) && wordEqual) {
+            return wordEqual(a, b);
+        }
         if (!isList(a) || !isList(b)) {
             return false;
         }
-        if (!List.equal(a.head, b.head)) {
+        if (!List.equal(a.head, b.head, wordEqual)) {
             return false;
         }
-        return List.equal(a.tail, b.tail);
+        return List.equal(a.tail, b.tail, wordEqual);
     }
 
     /**
@@ -344,6 +538,20 @@ export class List {
     }
 
     static stringify(val, delimiters = ['[', ']'], stack=[]) {
+        if (isArray(val)) {
+            if (stack.includes(val)) {
+                return '<recursive>';
+            }
+            stack.push(val);
+            let str = '{' + val.items.map((item) => {
+                return List.stringify(item, delimiters, stack);
+            }).join(' ') + '}';
+            if (val.origin !== 1) {
+                str += '@' + val.origin;
+            }
+            stack.pop();
+            return str;
+        }
         if (isList(val)) {
             // Avoid recursive list references
             if (stack.includes(val)) {
@@ -374,6 +582,80 @@ export class List {
 
 List.empty = new List();
 
+/**
+ * Fixed-size mutable array, with constant-time indexing.
+ *
+ * Unlike lists, arrays may be modified in place by Logo code
+ * with `setitem`. Indexes count from the array's origin, which
+ * is 1 by default as with `item` on lists.
+ *
+ * Arrays are iterable from JavaScript, like `List`.
+ */
+export class LogoArray {
+    /**
+     * Create a new array filled with empty lists.
+     *
+     * @param {number} size
+     * @param {number} [origin=1] - index of the first item
+     */
+    constructor(size, origin=1) {
+        this.items = new Array(size).fill(List.empty);
+        this.origin = origin;
+    }
+
+    /**
+     * @returns {number}
+     */
+    count() {
+        return this.items.length;
+    }
+
+    /**
+     * @param {number} index
+     * @returns {boolean} true if the index is an integer in range
+     */
+    has(index) {
+        let i = index - this.origin;
+        return i === Math.floor(i) && i >= 0 && i < this.items.length;
+    }
+
+    /**
+     * @param {number} index
+     * @returns {LogoValue}
+     */
+    get(index) {
+        return this.items[index - this.origin];
+    }
+
+    /**
+     * @param {number} index
+     * @param {LogoValue} val
+     */
+    set(index, val) {
+        this.items[index - this.origin] = val;
+    }
+
+    [Symbol.iterator]() {
+        return this.items[Symbol.iterator]();
+    }
+
+    /**
+     * Create an array from a List, JS array, or other iterable.
+     *
+     * @param {Iterable} source
+     * @param {number} [origin=1]
+     */
+    static from(source, origin=1) {
+        let array = new LogoArray(0, origin);
+        array.items = Array.from(source);
+        return array;
+    }
+
+    toString() {
+        return List.stringify(this);
+    }
+}
+
 /**
  * Wrapper for variable bindings.
  */
@@ -405,9 +687,71 @@ export class Binding {
  * ```
  */
 export class Context {
-    constructor() {
+    /**
+     * @param {string} [procName] - name of the procedure being run,
+     *                              undefined for the top level
+     * @param {LogoValue[]} [args] - input values it was called with
+     * @param {Scope} [scope] - scope holding its inputs and locals
+     */
+    constructor(procName, args=[], scope=undefined) {
+        this.procName = procName;
+        this.args = args;
+        this.scope = scope;
+        // Node of the call being made from this procedure
+        this.node = undefined;
         this.output = undefined;
         this.stop = false;
+        // Result of the last test command, for iftrue/iffalse
+        this.test = undefined;
+        // Start of the instruction whose value a list run here
+        // last output, to blame if nothing uses it
+        this.valueNode = undefined;
+        // Procedure call deferred to run in place of this one,
+        // as {func, args, node, output}, when the body ended
+        // in a tail call
+        this.tailCall = undefined;
+    }
+}
+
+/**
+ * A Logo process: a line of execution with its own scope and
+ * context stacks, run in turns with any others by the interpreter.
+ * Each execute() call gets one, as does each `launch`.
+ */
+export class Task {
+    /**
+     * @param {number} id - number identifying the task
+     * @param {Scope} globalScope - scope at the bottom of its stack
+     */
+    constructor(id, globalScope) {
+        this.id = id;
+        // top-level context
+        this.globalContext = new Context(undefined, [], globalScope);
+
+        // stack
+        this.scopes = [globalScope];
+        this.contexts = [this.globalContext];
+
+        // Counters for nested repeat and forever loops,
+        // innermost last, reported by repcount.
+        this.repeatCounts = [];
+
+        // Inputs and positions of the question-mark templates
+        // being run, innermost last.
+        this.templateFrames = [];
+
+        // Most recent error intercepted by `catch "error`,
+        // reported and cleared by the `error` operation.
+        this.lastError = null;
+
+        // Usage counted against the interpreter's limits
+        this.instructionCount = 0;
+        this.startTime = 0;
+
+        // Set to true when break() or stopAll() is called.
+        this.breakFlag = false;
+        // Set to true when stopAll() is called, to end quietly.
+        this.stopped = false;
     }
 }
 
@@ -422,6 +766,15 @@ export class Scope {
 
         // Use the prototype chain to aid lookups
         this.bindings = Object.create(parent ? parent.bindings : null);
+
+        // Number of own bindings, and a callback told of changes
+        // to it, which may throw to refuse a new binding.
+        this.size = 0;
+        this.onresize = parent ? parent.onresize : null;
+
+        // Bumped on any change to the bindings, so anything
+        // worked out from them knows when to look again.
+        this.version = 0;
     }
 
     /**
@@ -429,14 +782,14 @@ export class Scope {
      *
      * @param {string} name - variable name to look up
      * @returns {LogoVal} - the bound value
-     * @throws {ReferenceError} if not found in current or parent scopes
+     * @throws {NoValueError} if not found in current or parent scopes
      */
     get(name) {
         let binding = this.getBinding(name);
         if (binding) {
             return binding.value;
         } else {
-            throw new ReferenceError("Undeclared variable " + name);
+            throw new NoValueError(name);
         }
     }
 
@@ -444,6 +797,7 @@ export class Scope {
         let binding = this.getBinding(name);
         if (binding) {
             binding.value = val;
+            this.version++;
         } else {
             // Unbound vars should jump to global scope.
             let scope = this;
@@ -474,7 +828,42 @@ export class Scope {
      * @param {Binding} binding
      */
     bind(name, binding) {
+        if (!Object.prototype.hasOwnProperty.call(this.bindings, name)) {
+            if (this.onresize) {
+                this.onresize(1);
+            }
+            this.size++;
+        }
         this.bindings[name] = binding;
+        this.version++;
+    }
+
+    /**
+     * Remove the binding for the given variable name from the
+     * current scope. Any parent scope binding will show through.
+     *
+     * @param {string} name
+     */
+    unbind(name) {
+        if (Object.prototype.hasOwnProperty.call(this.bindings, name)) {
+            if (this.onresize) {
+                this.onresize(-1);
+            }
+            this.size--;
+        }
+        delete this.bindings[name];
+        this.version++;
+    }
+
+    /**
+     * Let go of all own bindings once the scope is done with,
+     * so they no longer count against any limit.
+     */
+    release() {
+        if (this.onresize) {
+            this.onresize(-this.size);
+        }
+        this.size = 0;
     }
 
     /**
@@ -502,124 +891,1014 @@ export class Scope {
     }
 }
 
-// Helpers for builtins
+/**
+ * A named property list: properties and their values, in the order
+ * they were first put. Property names match as `equalp` does, so
+ * "1 and "1.0 are the same property; the name first used is kept.
+ */
+export class PropertyList {
+    constructor() {
+        // Entries as [prop, val], by the key of the property name
+        this.entries = new Map();
+    }
 
-async function doMap(data, template, rest, callback) {
-    let sources = [data];
-    while (rest.length) {
-        sources.push(template);
-        template = rest.shift();
+    // Key that all equal names of a property share
+    static key(prop) {
+        let num = toNumber(prop);
+        return (num === undefined) ? String(prop) : String(num);
     }
-    let iters = sources.map((source) => {
-        return source[Symbol.iterator]()
-    });
-    for (;;) {
-        let allDone = true;
-        let anyDone = false;
-        let args = iters.map((iter) => {
-            let {done, value} = iter.next();
-            anyDone = anyDone || done;
-            allDone = allDone && done;
-            return value;
-        });
-        if (anyDone) {
-            break;
-        }
-        let val = await this.runTemplate(template, args);
-        if (callback) {
-            callback(val);
+
+    get size() {
+        return this.entries.size;
+    }
+
+    has(prop) {
+        return this.entries.has(PropertyList.key(prop));
+    }
+
+    /**
+     * @param {LogoValue} prop
+     * @returns {LogoValue|undefined}
+     */
+    get(prop) {
+        let entry = this.entries.get(PropertyList.key(prop));
+        return entry && entry[1];
+    }
+
+    set(prop, val) {
+        let key = PropertyList.key(prop);
+        let entry = this.entries.get(key);
+        if (entry) {
+            entry[1] = val;
+        } else {
+            this.entries.set(key, [prop, val]);
         }
     }
-}
 
-function unaryMinus(a) {
-    return -a;
+    delete(prop) {
+        return this.entries.delete(PropertyList.key(prop));
+    }
+
+    /**
+     * @returns {Iterator} [prop, val] pairs
+     */
+    [Symbol.iterator]() {
+        return this.entries.values();
+    }
 }
 
-// Builtin procedures
-let builtins = {
-    // Logical operations
-    true: async function() {
-        return true;
-    },
-    false: async function() {
-        return false;
-    },
-    and: async function(a, b, ...rest) {
-        // UCBLogo extends this to support instruction
-        // lists with lazy evaluation. Consider this.
-        if (!a) {
-            return false;
-        }
-        if (!b) {
-            return false;
-        }
-        for (let item of rest) {
-            if (!item) {
-                return false;
-            }
-        }
-        return true;
-    },
-    or: async function(a, b, ...rest) {
-        // UCBLogo extends this to support instruction
-        // lists with lazy evaluation. Consider this.
-        if (a) {
-            return true;
-        }
-        if (b) {
-            return true;
-        }
-        for (let item of rest) {
-            if (item) {
-                return true;
-            }
-        }
-        return false;
-    },
-    not: async function(a) {
-        return !a;
-    },
+/**
+ * Base class for errors raised by Logo code or the interpreter
+ * on its behalf. These can be intercepted from Logo code with
+ * `catch "error [...]`, and are reported via `error` as a list
+ * of the error code, message, procedure name, and instruction.
+ *
+ * Error codes follow UCBLogo's numbering where there is one.
+ */
+export class LogoError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} [code=0]
+     */
+    constructor(message, code=0) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+
+        // Name of the procedure that was running, if any.
+        this.procName = undefined;
+        // Names of all running procedures, outermost first.
+        this.logoStack = undefined;
+
+        // Source position, if known.
+        this.source = undefined;
+        this.start = undefined;
+        this.end = undefined;
+        this.line = undefined;
+        this.column = undefined;
+        // Text of the source line the error was raised on.
+        this.snippet = undefined;
+    }
 
-    // Lists and words
-    word: async function(a, b, ...rest) {
-        let args = [a, b].concat(rest);
-        for (let arg of args) {
-            if (!isWord(arg)) {
-                throw new TypeError('args must be words');
-            }
+    /**
+     * Record the source position of the error.
+     * Line and column numbers are 1-based.
+     *
+     * @param {object} map - a source map record with source, start and end
+     */
+    setLocation(map) {
+        let {source, start, end} = map;
+        let {line, column, lineStart, lineEnd} = sourcePosition(source, start);
+
+        this.source = source;
+        this.start = start;
+        this.end = end;
+        this.line = line;
+        this.column = column;
+        this.snippet = source.slice(lineStart, lineEnd);
+    }
+
+    toString() {
+        let str = this.message;
+        if (this.procName) {
+            str += ' in ' + this.procName;
         }
-        return args.join('');
-    },
-    se: async function(a, b, ...rest) {
-        let args = [a, b].concat(rest);
-        let builder = new ListBuilder();
-        for (let arg of args) {
-            if (isList(arg)) {
-                for (let item of arg) {
-                    builder.push(item);
-                }
-            } else {
-                builder.push(arg);
-            }
+        if (this.line !== undefined) {
+            str += '\n  at line ' + this.line + ', column ' + this.column +
+                ': ' + this.snippet.trim();
         }
-        return builder.list;
-    },
-    list: async function(a, b, ...rest) {
-        return new List(a, new List(b, List.from(rest)));
-    },
-    fput: async function(thing, list) {
+        return str;
+    }
+}
+
+/**
+ * Malformed instructions, such as mismatched parens or a
+ * `stop` outside any procedure.
+ */
+export class LogoSyntaxError extends LogoError {
+    /**
+     * Error for the first syntax error found by the parser,
+     * with all of them in `errors`.
+     *
+     * @param {object} program - from parse() in parser.js
+     * @returns {LogoSyntaxError}
+     */
+    static fromProgram(program) {
+        let {source} = program;
+        let errors = program.errors.map(({message, span}) => {
+            let error = new LogoSyntaxError(message);
+            error.setLocation({source, start: span.start, end: span.end});
+            return error;
+        });
+        errors[0].errors = errors;
+        return errors[0];
+    }
+}
+
+/**
+ * A procedure was given an input of the wrong type or range.
+ */
+export class BadInputError extends LogoError {
+    /**
+     * @param {string} procName - name of the complaining procedure
+     * @param {LogoValue} datum - the offending input
+     */
+    constructor(procName, datum) {
+        super(procName + ' doesn\'t like ' + List.stringify(datum) + ' as input', 7);
+        this.datum = datum;
+    }
+}
+
+/**
+ * A variable was read before being given a value.
+ */
+export class NoValueError extends LogoError {
+    /**
+     * @param {string} varName
+     */
+    constructor(varName) {
+        super(varName + ' has no value', 11);
+        this.varName = varName;
+    }
+}
+
+/**
+ * A procedure call ran out of input before all its arguments
+ * were supplied.
+ */
+export class NotEnoughInputsError extends LogoError {
+    /**
+     * @param {string} procName
+     */
+    constructor(procName) {
+        super('Not enough inputs to ' + procName, 6);
+    }
+}
+
+/**
+ * A command was used where an input value was expected.
+ */
+export class DidntOutputError extends LogoError {
+    /**
+     * @param {string} procName - the command that didn't output
+     * @param {string} callerName - the procedure expecting an input
+     */
+    constructor(procName, callerName) {
+        super(procName + ' didn\'t output to ' + callerName, 5);
+    }
+}
+
+/**
+ * A value was produced where an instruction was expected.
+ */
+export class NoUseForValueError extends LogoError {
+    /**
+     * @param {LogoValue} value
+     */
+    constructor(value) {
+        super('You don\'t say what to do with ' + List.stringify(value), 9);
+        this.value = value;
+    }
+}
+
+/**
+ * A procedure was called that isn't defined.
+ */
+export class UnknownProcedureError extends LogoError {
+    /**
+     * @param {string} procName
+     */
+    constructor(procName) {
+        super('I don\'t know how to ' + procName, 13);
+    }
+}
+
+/**
+ * Non-local exit raised by the `throw` command, carrying a tag
+ * and an optional value. If no matching `catch` intercepts it,
+ * it is reported as an error.
+ */
+export class ThrowError extends LogoError {
+    /**
+     * @param {string} tag
+     * @param {LogoValue} [value]
+     */
+    constructor(tag, value) {
+        super('Can\'t find catch tag for ' + tag, 14);
+        this.tag = tag;
+        this.value = value;
+    }
+}
+
+/**
+ * Code went over one of the interpreter's execution limits,
+ * as set in its `limits`.
+ */
+export class LimitError extends LogoError {
+    /**
+     * @param {string} message
+     * @param {number} code
+     * @param {number} limit - the limit that was reached
+     */
+    constructor(message, code, limit) {
+        super(message, code);
+        this.limit = limit;
+    }
+}
+
+/**
+ * More procedure calls and loop iterations were made than
+ * `limits.instructions`.
+ */
+export class InstructionLimitError extends LimitError {
+    constructor(limit) {
+        super('Too many instructions (limit ' + limit + ')', 50, limit);
+    }
+}
+
+/**
+ * Code ran for longer than `limits.time` milliseconds.
+ */
+export class TimeLimitError extends LimitError {
+    constructor(limit) {
+        super('Out of time (limit ' + limit + ' ms)', 51, limit);
+    }
+}
+
+/**
+ * Procedure calls nested deeper than `limits.depth`.
+ */
+export class CallDepthError extends LimitError {
+    constructor(limit) {
+        super('Stack overflow (limit ' + limit + ' calls)', 2, limit);
+    }
+}
+
+/**
+ * A primitive made a list, array or word longer than
+ * `limits.listLength` or `limits.wordLength`.
+ */
+export class SizeLimitError extends LimitError {
+    /**
+     * @param {string} kind - 'list' or 'word'
+     * @param {number} limit
+     */
+    constructor(kind, limit) {
+        let what = (kind === 'word') ? 'Word' : 'List';
+        super(what + ' too long (limit ' + limit + ')', 52, limit);
+        this.kind = kind;
+    }
+}
+
+/**
+ * More variables and procedures were defined than
+ * `limits.bindings`.
+ */
+export class BindingLimitError extends LimitError {
+    constructor(limit) {
+        super('Too many variables and procedures (limit ' + limit + ')', 53, limit);
+    }
+}
+
+// Helpers for builtins
+
+async function doMap(data, template, rest, callback) {
+    let sources = [data];
+    while (rest.length) {
+        sources.push(template);
+        template = rest.shift();
+    }
+    let iters = sources.map((source) => {
+        return source[Symbol.iterator]()
+    });
+    for (let index = 1; ; index++) {
+        let allDone = true;
+        let anyDone = false;
+        let args = iters.map((iter) => {
+            let {done, value} = iter.next();
+            anyDone = anyDone || done;
+            allDone = allDone && done;
+            return value;
+        });
+        if (anyDone) {
+            break;
+        }
+        let val = await this.runTemplate(template, args, index);
+        if (callback) {
+            callback(val);
+        }
+    }
+}
+
+// Members of a list or word, for the higher-order library
+function templateData(procName, data) {
+    if (isList(data)) {
+        return Array.from(data);
+    }
+    if (isWord(data)) {
+        return wordChars(data);
+    }
+    throw new BadInputError(procName, data);
+}
+
+// Run a template that must output true or false
+async function templatePredicate(procName, template, args, index) {
+    let val = await this.runTemplate(template, args, index);
+    if (!isBoolean(val)) {
+        throw new BadInputError(procName, val === undefined ? template : val);
+    }
+    return val;
+}
+
+// Innermost question-mark template being run by the current
+// procedure, if any. Procedures called from a template don't
+// see its inputs.
+function templateFrame() {
+    let frames = this.task.templateFrames;
+    let frame = frames[frames.length - 1];
+    if (frame && frame.depth === this.contexts.length) {
+        return frame;
+    }
+    return undefined;
+}
+
+// Inputs of the innermost question-mark template
+function templateInputs(name) {
+    let frame = templateFrame.call(this);
+    if (!frame) {
+        throw new NoValueError(name);
+    }
+    return frame.args;
+}
+
+// Default ordering for sort: numbers numerically, other words lexically
+function defaultBefore(a, b) {
+    if (!isWord(a)) {
+        throw new BadInputError('sort', a);
+    }
+    if (!isWord(b)) {
+        throw new BadInputError('sort', b);
+    }
+    let x = toNumber(a);
+    let y = toNumber(b);
+    if (x !== undefined && y !== undefined) {
+        return x < y;
+    }
+    return compareWords(a, b) < 0;
+}
+
+/**
+ * Stable merge sort with an async comparison, so that
+ * comparator templates can run Logo code.
+ *
+ * @param {Array} items
+ * @param {function} before - async (a, b) => true if a sorts before b
+ * @returns {Promise<Array>}
+ */
+async function mergeSort(items, before) {
+    if (items.length < 2) {
+        return items;
+    }
+    let middle = items.length >> 1;
+    let left = await mergeSort(items.slice(0, middle), before);
+    let right = await mergeSort(items.slice(middle), before);
+    let merged = [];
+    while (left.length && right.length) {
+        // Take from the right only if strictly before, keeping ties in order
+        if (await before(right[0], left[0])) {
+            merged.push(right.shift());
+        } else {
+            merged.push(left.shift());
+        }
+    }
+    return merged.concat(left, right);
+}
+
+// Shared implementation of define and .defmacro
+function defineProcedure(procName, name, text, macro) {
+    if (!isString(name)) {
+        throw new BadInputError(procName, name);
+    }
+    let {argNames, lines, body} = procedureText(procName, text);
+    let binding = this.procedureScope.getBinding(name);
+    if (binding && !isUserProcedure(binding.value)) {
+        throw new LogoError(name + ' is a primitive', 22);
+    }
+    let proc = this.procedure(name, argNames, body, {lines, macro});
+    this.procedureScope.set(name, proc);
+}
+
+// Check that a macro output an instruction list to run
+function macroExpansion(func, expansion) {
+    if (!isList(expansion)) {
+        throw new LogoError(func.name + ' macro returned ' +
+            (expansion === undefined ? 'nothing' : List.stringify(expansion)) +
+            ' instead of a list', 7);
+    }
+    return expansion;
+}
+
+/**
+ * Split procedure text, as taken by define and templates,
+ * into input names and a body.
+ *
+ * @param {string} procName - for error reporting
+ * @param {List} text - list of input names followed by instruction lines
+ * @returns {{argNames: string[], lines: List, body: List}}
+ */
+function procedureText(procName, text) {
+    if (!isList(text) || !isList(text.head)) {
+        throw new BadInputError(procName, text);
+    }
+    let argNames = [];
+    for (let arg of text.head) {
+        if (!isString(arg)) {
+            throw new BadInputError(procName, text);
+        }
+        argNames.push(isVariable(arg) ? arg.substr(1) : arg);
+    }
+    let lines = text.tail;
+    let body = new ListBuilder();
+    for (let line of lines) {
+        if (!isList(line)) {
+            throw new BadInputError(procName, text);
+        }
+        body.concat(line);
+    }
+    return {argNames, lines, body: body.list};
+}
+
+function isUserProcedure(func) {
+    return typeof func === 'function' && func.body !== undefined;
+}
+
+/**
+ * Format a parsed token as Logo source that the parser will
+ * read back identically. Lists come out in the same form as
+ * `List.stringify`, with backslash escapes added where words
+ * contain whitespace or delimiters.
+ *
+ * @param {LogoValue} val
+ * @returns {string}
+ */
+function formatToken(val) {
+    if (isList(val)) {
+        return '[' + formatLine(val) + ']';
+    }
+    if (isArray(val)) {
+        let str = '{' + formatLine(val) + '}';
+        if (val.origin !== 1) {
+            str += '@' + val.origin;
+        }
+        return str;
+    }
+    if (!isString(val)) {
+        return String(val);
+    }
+    if (val.match(reOperators) || val === '(' || val === ')') {
+        // Standalone operator and paren tokens
+        return val;
+    }
+    let prefix = '';
+    let rest = val;
+    if (isQuoted(val) || isVariable(val)) {
+        prefix = val[0];
+        rest = val.substr(1);
+    }
+    let escaped = '';
+    for (let char of rest) {
+        if (char.match(reWhitespace) || char.match(reDelimiters) || char === ';' || char === '\\') {
+            escaped += '\\';
+        } else if (escaped === '' && prefix === '' && char.match(reDigit)) {
+            // Keep word from being read as a number
+            escaped += '\\';
+        }
+        escaped += char;
+    }
+    return prefix + escaped;
+}
+
+/**
+ * Format a list's contents as a line of Logo source, without brackets.
+ *
+ * @param {List} list
+ * @returns {string}
+ */
+export function formatLine(list) {
+    return Array.from(list, formatToken).join(' ');
+}
+
+// Format a value as a Logo expression that evaluates to it
+function formatValue(val) {
+    if (isString(val)) {
+        return formatToken('"' + val);
+    }
+    return formatToken(val);
+}
+
+// Convert a Logo value to a JSON-compatible value, lists as
+// arrays and Logo arrays as objects with items and origin
+function toJSONValue(val) {
+    if (isList(val)) {
+        return Array.from(val, toJSONValue);
+    }
+    if (isArray(val)) {
+        return {
+            array: val.items.map(toJSONValue),
+            origin: val.origin,
+        };
+    }
+    return val;
+}
+
+// Convert a JSON-compatible value back to a Logo value
+function fromJSONValue(val) {
+    if (Array.isArray(val)) {
+        return List.from(val.map(fromJSONValue));
+    }
+    if (val && Array.isArray(val.array)) {
+        return LogoArray.from(val.array.map(fromJSONValue), val.origin);
+    }
+    if (isString(val) || isNumber(val) || isBoolean(val)) {
+        return val;
+    }
+    throw new TypeError('Invalid workspace value ' + JSON.stringify(val));
+}
+
+// Storage errors from providers are reported as Logo errors
+async function storageCall(method, name, ...args) {
+    try {
+        return await this.storage[method](name, ...args);
+    } catch (e) {
+        if (e instanceof LogoError) {
+            throw e;
+        }
+        throw new LogoError('File system error: ' + e.message, 18);
+    }
+}
+
+// Files named with a .json extension are saved in JSON format
+function storageFormat(name) {
+    return name.match(/\.json$/i) ? 'json' : 'logo';
+}
+
+function procedureTitle(func) {
+    let words = [func.macro ? '.macro' : 'to', func.name];
+    for (let name of func.argNames) {
+        words.push(':' + name);
+    }
+    return words.join(' ');
+}
+
+// List of words, one per line of the definition
+function procedureFullText(func) {
+    if (func.source !== undefined) {
+        return List.from(func.source.split(/\r\n|\r|\n/));
+    }
+    let builder = new ListBuilder();
+    builder.push(procedureTitle(func));
+    for (let line of func.lines) {
+        builder.push(formatLine(line));
+    }
+    builder.push('end');
+    return builder.list;
+}
+
+function getProcedure(procName, name) {
+    if (!isString(name)) {
+        throw new BadInputError(procName, name);
+    }
+    let binding = this.procedureScope.getBinding(name);
+    if (!binding) {
+        throw new UnknownProcedureError(name);
+    }
+    return binding.value;
+}
+
+function getUserProcedure(procName, name) {
+    let func = getProcedure.call(this, procName, name);
+    if (!isUserProcedure(func)) {
+        throw new LogoError(name + ' is a primitive', 22);
+    }
+    return func;
+}
+
+function procedureNames(user) {
+    return Object.keys(this.procedureScope.bindings).filter((name) => {
+        return isUserProcedure(this.procedureScope.getBinding(name).value) === user;
+    });
+}
+
+/**
+ * Unpack a UCBLogo-style contents list, which may be a single
+ * procedure name, a list of procedure names, or a list of lists
+ * of procedure, variable and property list names.
+ */
+function contentsList(procName, arg) {
+    let names = (item) => {
+        if (isString(item)) {
+            return [item];
+        }
+        if (isList(item)) {
+            for (let name of item) {
+                if (!isString(name)) {
+                    throw new BadInputError(procName, arg);
+                }
+            }
+            return Array.from(item);
+        }
+        throw new BadInputError(procName, arg);
+    };
+    if (isList(arg) && isList(arg.head)) {
+        let [procs=List.empty, vars=List.empty, plists=List.empty] = arg;
+        return {
+            procs: names(procs),
+            vars: names(vars),
+            plists: names(plists),
+        };
+    }
+    return {
+        procs: names(arg),
+        vars: [],
+        plists: [],
+    };
+}
+
+// Lines of Logo source that recreate a property list
+function plistSource(name) {
+    let lines = [];
+    let plist = this.propertyLists.get(name);
+    if (plist) {
+        for (let [prop, val] of plist) {
+            lines.push('pprop ' + formatValue(name) + ' ' + formatValue(prop) + ' ' + formatValue(val));
+        }
+    }
+    return lines;
+}
+
+// Evaluate a true/false expression list for a control structure
+function evaluateCondition(procName, cond) {
+    let check = (val) => {
+        if (!isBoolean(val)) {
+            throw new BadInputError(procName, val === undefined ? cond : val);
+        }
+        return val;
+    };
+    if (isList(cond)) {
+        return andThen(this.evaluate(cond), check);
+    }
+    return check(cond);
+}
+
+/**
+ * Shared implementation of and and or. Inputs may be true/false
+ * values or instruction lists; lists are only run until the
+ * result is known, so later ones may be skipped entirely. Lists
+ * skipped are reported to the onskip hook.
+ *
+ * @param {string} procName - for error reporting
+ * @param {Array} args - conditions, in order
+ * @param {boolean} decisive - value that settles the result
+ */
+async function shortCircuit(procName, args, decisive) {
+    // Node of the call, from which the inputs were written
+    let node = this.currentContext().node;
+    for (let [index, arg] of args.entries()) {
+        let val = await evaluateCondition.call(this, procName, arg);
+        if (val === decisive) {
+            if (this.onskip) {
+                for (let skipped of args.slice(index + 1)) {
+                    if (isList(skipped)) {
+                        await this.onskip(skipped, inputNode(node, skipped));
+                    }
+                }
+            }
+            return decisive;
+        }
+    }
+    return !decisive;
+}
+
+// List node from the given one on that holds the value, to find
+// where a literal input to a call was written
+function inputNode(node, value) {
+    for (let iter = node; iter && !iter.isEmpty(); iter = iter.tail) {
+        if (iter.head === value) {
+            return iter;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Shared implementation of while, until, do.while and do.until.
+ *
+ * @param {string} procName - for error reporting
+ * @param {List} cond - condition expression list
+ * @param {List} block - instruction list to loop over
+ * @param {boolean} checkFirst - whether to check before the first run
+ * @param {boolean} expected - condition value to keep looping on
+ */
+function doLoop(procName, cond, block, checkFirst, expected) {
+    if (!isList(block)) {
+        throw new BadInputError(procName, block);
+    }
+    let context = this.currentContext();
+    let body = () => {
+        this.checkLimits();
+        return andThen(this.checkYield(), () => {
+            return andThen(this.evaluate(block), () => !context.stop);
+        });
+    };
+    let first = true;
+    return loop(() => {
+        if (!checkFirst && first) {
+            first = false;
+            return body();
+        }
+        return andThen(evaluateCondition.call(this, procName, cond), (val) => {
+            if (context.stop || val !== expected) {
+                return false;
+            }
+            return body();
+        });
+    });
+}
+
+/**
+ * Shared implementation of repeat, forever and for: run an
+ * instruction list once for each value from next(), until it
+ * gives undefined or the procedure stops.
+ *
+ * @param {List} block - instruction list to loop over
+ * @param {function} next - gives the next value, if any
+ * @param {function} each - called with each value before the run
+ */
+function runLoop(block, next, each) {
+    let context = this.currentContext();
+    return loop(() => {
+        let val = next();
+        if (val === undefined) {
+            return false;
+        }
+        each(val);
+        this.checkLimits();
+        return andThen(this.checkYield(), () => {
+            return andThen(this.evaluate(block), () => !context.stop);
+        });
+    });
+}
+
+function testResult(procName) {
+    let result = this.currentContext().test;
+    if (result === undefined) {
+        throw new LogoError(procName + ' without test', 25);
+    }
+    return result;
+}
+
+/**
+ * Coerce an input to a number for an arithmetic builtin.
+ *
+ * @param {string} procName - for error reporting
+ * @param {LogoValue} val
+ * @returns {number}
+ * @throws {BadInputError} if not a number or numeric word
+ */
+function numberArg(procName, val) {
+    let num = toNumber(val);
+    if (num === undefined) {
+        throw new BadInputError(procName, val);
+    }
+    return num;
+}
+
+function integerArg(procName, val) {
+    let num = numberArg(procName, val);
+    if (num !== Math.floor(num)) {
+        throw new BadInputError(procName, val);
+    }
+    return num;
+}
+
+function positiveArg(procName, val) {
+    let num = numberArg(procName, val);
+    if (num <= 0) {
+        throw new BadInputError(procName, val);
+    }
+    return num;
+}
+
+function divisorArg(procName, val) {
+    let num = numberArg(procName, val);
+    if (num === 0) {
+        throw new BadInputError(procName, val);
+    }
+    return num;
+}
+
+/**
+ * Validate a word input, giving its string form.
+ *
+ * @param {string} procName
+ * @param {LogoValue} val
+ * @returns {string}
+ * @throws {BadInputError} if not a word
+ */
+function wordArg(procName, val) {
+    if (!isWord(val)) {
+        throw new BadInputError(procName, val);
+    }
+    return String(val);
+}
+
+// Split a word into characters by Unicode code point,
+// so astral characters such as emoji aren't cut in half.
+function wordChars(word) {
+    return Array.from(String(word));
+}
+
+// A word of exactly one character, as its code point
+// A line of input as list data, as readlist outputs it: words
+// split at spaces, with brackets making sublists. Anything else,
+// such as parens or semicolons, is part of the words; brackets
+// left open are closed at the end of the line.
+function lineToList(line) {
+    let stack = [new ListBuilder()];
+    for (let token of line.match(/[\[\]]|[^\s\[\]]+/g) || []) {
+        let builder = stack[stack.length - 1];
+        if (token === '[') {
+            stack.push(new ListBuilder());
+        } else if (token === ']' && stack.length > 1) {
+            stack.pop();
+            stack[stack.length - 1].push(builder.list);
+        } else {
+            builder.push(token.match(reNumeric) ? parseFloat(token) : token);
+        }
+    }
+    while (stack.length > 1) {
+        let list = stack.pop().list;
+        stack[stack.length - 1].push(list);
+    }
+    return stack[0].list;
+}
+
+function charArg(procName, val) {
+    let chars = wordChars(wordArg(procName, val));
+    if (chars.length !== 1) {
+        throw new BadInputError(procName, val);
+    }
+    return chars[0].codePointAt(0);
+}
+
+// Lexical order by code point; negative, zero or positive
+function compareWords(a, b) {
+    let x = wordChars(a);
+    let y = wordChars(b);
+    let n = Math.min(x.length, y.length);
+    for (let i = 0; i < n; i++) {
+        let diff = x[i].codePointAt(0) - y[i].codePointAt(0);
+        if (diff !== 0) {
+            return diff;
+        }
+    }
+    return x.length - y.length;
+}
+
+// Word comparison for equalp, treating numeric words as numbers
+function wordEqual(a, b) {
+    let x = toNumber(a);
+    let y = toNumber(b);
+    if (x !== undefined && y !== undefined) {
+        return x === y;
+    }
+    return String(a) === String(b);
+}
+
+// Equality in the Logo sense, for equalp and friends
+function logoEqual(a, b) {
+    return List.equal(a, b, wordEqual);
+}
+
+function degrees(val) {
+    return val * Math.PI / 180;
+}
+
+// arctan x gives atan of x; (arctan x y) gives the angle of point x,y
+function arctanArgs(procName, x, rest) {
+    x = numberArg(procName, x);
+    if (rest.length) {
+        return [numberArg(procName, rest[0]), x];
+    }
+    return [x, 1];
+}
+
+function unaryMinus(a) {
+    return -numberArg('minus', a);
+}
+
+// Builtin procedures
+let builtins = {
+    // Logical operations
+    true: function() {
+        return true;
+    },
+    false: function() {
+        return false;
+    },
+    and: async function(a, b, ...rest) {
+        return await shortCircuit.call(this, 'and', [a, b].concat(rest), false);
+    },
+    or: async function(a, b, ...rest) {
+        return await shortCircuit.call(this, 'or', [a, b].concat(rest), true);
+    },
+    not: function(a) {
+        return !a;
+    },
+
+    // Lists and words
+    word: function(a, b, ...rest) {
+        let args = [a, b].concat(rest);
+        for (let arg of args) {
+            if (!isWord(arg)) {
+                throw new BadInputError('word', arg);
+            }
+        }
+        // Check the length before building the word
+        this.checkLength('word', args.reduce((sum, arg) => sum + String(arg).length, 0));
+        return args.join('');
+    },
+    se: function(a, b, ...rest) {
+        let args = [a, b].concat(rest);
+        this.checkLength('list', args.reduce((sum, arg) => sum + (isList(arg) ? arg.count() : 1), 0));
+        let builder = new ListBuilder();
+        for (let arg of args) {
+            if (isList(arg)) {
+                for (let item of arg) {
+                    builder.push(item);
+                }
+            } else {
+                builder.push(arg);
+            }
+        }
+        return builder.list;
+    },
+    list: function(a, b, ...rest) {
+        return new List(a, new List(b, List.from(rest)));
+    },
+    fput: function(thing, list) {
         if (!isList(list)) {
-            throw new TypeError('list must be a list');
+            throw new BadInputError('fput', list);
         }
         // uses existing list as tail, fast!
         return new List(thing, list);
     },
-    lput: async function(thing, list) {
+    lput: function(thing, list) {
         if (!isList(list)) {
-            throw new TypeError('list must be a list');
+            throw new BadInputError('lput', list);
         }
         // copies list, inefficient!
+        this.checkLength('list', list.count() + 1);
         let builder = new ListBuilder();
         builder.concat(list);
         builder.push(thing);
@@ -632,104 +1911,110 @@ let builtins = {
         if (isList(b)) {
             return await builtins.fput.call(this, a, b);
         }
-        throw new TypeError('second arg must be string or list');
+        throw new BadInputError('combine', b);
     },
-    reverse: async function(list) {
+    reverse: function(list) {
         if (isList(list)) {
             return list.reverse();
         }
-        throw new TypeError('list must be a list');
+        throw new BadInputError('reverse', list);
     },
-    count: async function(arg) {
-        if (isList(arg)) {
+    count: function(arg) {
+        if (isList(arg) || isArray(arg)) {
             return arg.count();
         }
-        if (isString(arg)) {
-            return arg.length;
+        if (isWord(arg)) {
+            return wordChars(arg).length;
         }
-        throw new TypeError('arg must be a word or list');
+        throw new BadInputError('count', arg);
     },
-    first: async function(arg) {
-        if (isString(arg)) {
+    first: function(arg) {
+        if (isWord(arg)) {
             if (arg === '') {
-                throw new TypeError('empty string');
+                throw new BadInputError('first', arg);
             }
-            return arg[0];
+            return wordChars(arg)[0];
         }
         if (isList(arg)) {
             if (arg.isEmpty()) {
-                throw new TypeError('empty list');
+                throw new BadInputError('first', arg);
             }
             return arg.head;
         }
-        throw new TypeError('must be a string or list');
+        throw new BadInputError('first', arg);
     },
-    last: async function(arg) {
-        if (isString(arg)) {
+    last: function(arg) {
+        if (isWord(arg)) {
             if (arg === '') {
-                throw new TypeError('empty string');
+                throw new BadInputError('last', arg);
             }
-            return arg[arg.length - 1];
+            return wordChars(arg).pop();
         }
         if (isList(arg)) {
             if (arg.isEmpty()) {
-                throw new TypeError('empty list');
+                throw new BadInputError('last', arg);
             }
             let end = arg.end();
             return end.head;
         }
-        throw new TypeError('must be a string or list');
+        throw new BadInputError('last', arg);
     },
-    butfirst: async function(arg) {
-        if (isString(arg)) {
+    butfirst: function(arg) {
+        if (isWord(arg)) {
             if (arg === '') {
-                throw new TypeError('empty string');
+                throw new BadInputError('butfirst', arg);
             }
-            return arg.substr(1);
+            return wordChars(arg).slice(1).join('');
         }
         if (isList(arg)) {
             if (arg.isEmpty()) {
-                throw new TypeError('empty list');
+                throw new BadInputError('butfirst', arg);
             } else {
                 // Fast split of immutable list tail!
                 return arg.tail;
             }
         }
-        throw new TypeError('must be a string or list');
+        throw new BadInputError('butfirst', arg);
     },
-    butlast: async function(arg) {
-        if (isString(arg)) {
+    butlast: function(arg) {
+        if (isWord(arg)) {
             if (arg === '') {
-                throw new TypeError('empty string');
+                throw new BadInputError('butlast', arg);
             }
-            return arg.substr(0, -1);
+            return wordChars(arg).slice(0, -1).join('');
         }
         if (isList(arg)) {
             if (arg.isEmpty()) {
-                throw new TypeError('empty list');
+                throw new BadInputError('butlast', arg);
             }
             return arg.filter((_item, cursor) => {
                 // Exclude the final cursor record
                 return cursor.hasTail();
             });
         }
-        throw new TypeError('butlast requires a list or string');
+        throw new BadInputError('butlast', arg);
     },
-    item: async function(index, thing) {
-        if (!isNumber(index)) {
-            throw new TypeError('index must be a number');
+    item: function(index, thing) {
+        index = numberArg('item', index);
+        if (isArray(thing)) {
+            // Arrays may have a different origin
+            if (!thing.has(index)) {
+                throw new BadInputError('item', index);
+            }
+            return thing.get(index);
         }
-        if (index < 0) {
-            throw new TypeError('index must be non-negative');
+        if (index < 1) {
+            throw new BadInputError('item', index);
         }
         if (index !== (index | 0)) {
-            throw new TypeError('index must be an integer');
+            throw new BadInputError('item', index);
         }
-        if (isString(thing)) {
-            if (index > thing.length) {
-                throw new TypeError('index is beyond string length');
+        if (isWord(thing)) {
+            let chars = wordChars(thing);
+            if (index > chars.length) {
+                throw new BadInputError('item', index);
             }
-            return thing[index];
+            return chars[index - 1];
         }
         if (isList(thing)) {
             let n = 1;
@@ -739,14 +2024,189 @@ let builtins = {
                 }
                 ++n;
             }
-            throw new TypeError('index is beyond list length');
+            throw new BadInputError('item', index);
+        }
+        throw new BadInputError('item', thing);
+    },
+    remove: function(thing, list) {
+        if (!isList(list)) {
+            throw new BadInputError('remove', list);
+        }
+        return list.filter((item) => {
+            return !logoEqual(thing, item);
+        });
+    },
+    member: function(thing, container) {
+        if (isWord(container)) {
+            let word = String(container);
+            if (!isWord(thing) || wordChars(thing).length !== 1) {
+                return '';
+            }
+            let index = word.indexOf(String(thing));
+            return index < 0 ? '' : word.substr(index);
+        }
+        if (isList(container)) {
+            for (let cursor = container; !cursor.isEmpty(); cursor = cursor.tail) {
+                if (logoEqual(thing, cursor.head)) {
+                    // Shares the tail of the original list
+                    return cursor;
+                }
+            }
+            return List.empty;
+        }
+        throw new BadInputError('member', container);
+    },
+
+    // Characters and text
+    uppercase: function(word) {
+        return wordArg('uppercase', word).toUpperCase();
+    },
+    lowercase: function(word) {
+        return wordArg('lowercase', word).toLowerCase();
+    },
+    char: function(code) {
+        code = integerArg('char', code);
+        if (code < 0 || code > 0x10ffff) {
+            throw new BadInputError('char', code);
+        }
+        return String.fromCodePoint(code);
+    },
+    ascii: function(char) {
+        return charArg('ascii', char);
+    },
+    rawascii: function(char) {
+        // Words don't remember backslash escapes, so this
+        // is the same as ascii.
+        return charArg('rawascii', char);
+    },
+    'before?': function(a, b) {
+        return compareWords(wordArg('before?', a), wordArg('before?', b)) < 0;
+    },
+    substringp: function(a, b) {
+        if (!isWord(a) || !isWord(b)) {
+            return false;
+        }
+        return String(b).includes(String(a));
+    },
+    gensym: function() {
+        return 'g' + (++this.gensymCount);
+    },
+    quoted: function(thing) {
+        if (isWord(thing)) {
+            return '"' + thing;
+        }
+        return thing;
+    },
+    dequote: function(thing) {
+        if (isQuoted(thing)) {
+            return thing.substr(1);
+        }
+        return thing;
+    },
+    parse: function(word) {
+        return this.parse(wordArg('parse', word));
+    },
+    runparse: async function(thing) {
+        if (isList(thing)) {
+            // Re-tokenize each word, so infix operators and
+            // numbers come out as they would in source code.
+            let builder = new ListBuilder();
+            for (let item of thing) {
+                if (isString(item)) {
+                    builder.concat(this.parse(item));
+                } else if (isList(item)) {
+                    builder.push(await builtins.runparse.call(this, item));
+                } else {
+                    builder.push(item);
+                }
+            }
+            return builder.list;
+        }
+        return this.parse(wordArg('runparse', thing));
+    },
+
+    // Arrays
+    array: function(size, ...rest) {
+        let origin = rest.length ? integerArg('array', rest[0]) : 1;
+        size = integerArg('array', size);
+        if (size < 0) {
+            throw new BadInputError('array', size);
+        }
+        this.checkLength('list', size);
+        return new LogoArray(size, origin);
+    },
+    mdarray: async function(sizes, ...rest) {
+        let origin = rest.length ? rest[0] : 1;
+        if (!isList(sizes) || sizes.isEmpty()) {
+            throw new BadInputError('mdarray', sizes);
+        }
+        // All the arrays together, not just each one
+        let total = 1;
+        for (let size of sizes) {
+            total *= Math.max(toNumber(size) || 0, 1);
+        }
+        this.checkLength('list', total);
+        let array = await builtins.array.call(this, sizes.head, origin);
+        let size = array.count();
+        if (sizes.hasTail()) {
+            for (let i = 0; i < size; i++) {
+                array.items[i] = await builtins.mdarray.call(this, sizes.tail, origin);
+            }
+        }
+        return array;
+    },
+    setitem: function(index, array, val) {
+        if (!isArray(array)) {
+            throw new BadInputError('setitem', array);
+        }
+        index = numberArg('setitem', index);
+        if (!array.has(index)) {
+            throw new BadInputError('setitem', index);
+        }
+        if (val === array) {
+            // Don't allow direct circular references
+            throw new BadInputError('setitem', val);
+        }
+        array.set(index, val);
+    },
+    mditem: async function(indexes, array) {
+        if (!isList(indexes) || indexes.isEmpty()) {
+            throw new BadInputError('mditem', indexes);
+        }
+        for (let index of indexes) {
+            array = await builtins.item.call(this, index, array);
+        }
+        return array;
+    },
+    mdsetitem: async function(indexes, array, val) {
+        if (!isList(indexes) || indexes.isEmpty()) {
+            throw new BadInputError('mdsetitem', indexes);
+        }
+        for (let cursor of indexes.cursors()) {
+            if (!cursor.hasTail()) {
+                await builtins.setitem.call(this, cursor.head, array, val);
+                break;
+            }
+            array = await builtins.item.call(this, cursor.head, array);
+        }
+    },
+    arrayp: function(arg) {
+        return isArray(arg);
+    },
+    arraytolist: function(array) {
+        if (!isArray(array)) {
+            throw new BadInputError('arraytolist', array);
+        }
+        this.checkLength('list', array.count());
+        return List.from(array);
+    },
+    listtoarray: function(list, ...rest) {
+        let origin = rest.length ? integerArg('listtoarray', rest[0]) : 1;
+        if (!isList(list)) {
+            throw new BadInputError('listtoarray', list);
         }
-        throw new TypeError('Expected list');
-    },
-    remove: async function(thing, list) {
-        return list.filter((item) => {
-            return (thing !== item);
-        });
+        this.checkSize(list);
+        return LogoArray.from(list, origin);
     },
 
     // Output
@@ -781,25 +2241,63 @@ let builtins = {
         });
     },
 
+    // Input
+
+    readword: async function() {
+        let line = await this.read('line');
+        if (line === null || line === undefined) {
+            return List.empty;
+        }
+        return String(line);
+    },
+    readlist: async function() {
+        let line = await this.read('line');
+        if (line === null || line === undefined) {
+            return '';
+        }
+        return lineToList(String(line));
+    },
+    readchar: async function() {
+        let chars = await this.read('chars', 1);
+        if (chars === null || chars === undefined || chars === '') {
+            return List.empty;
+        }
+        return String(chars);
+    },
+    readchars: async function(count) {
+        count = integerArg('readchars', count);
+        if (count < 0) {
+            throw new BadInputError('readchars', count);
+        }
+        let chars = await this.read('chars', count);
+        if (chars === null || chars === undefined) {
+            return List.empty;
+        }
+        return String(chars);
+    },
+    keyp: async function() {
+        return Boolean(await this.read('ready'));
+    },
+
     // Value get/set
 
-    thing: async function(name) {
+    thing: function(name) {
         if (!isString(name)) {
-            throw new TypeError('Invalid variable name');
+            throw new BadInputError('thing', name);
         }
         let binding = this.currentScope().getBinding(name);
         if (!binding) {
-            throw new ReferenceError('Undefined variable ' + name);
+            throw new NoValueError(name);
         }
         return binding.value;
     },
-    make: async function(name, val) {
+    make: function(name, val) {
         if (!isString(name)) {
-            throw new TypeError('Invalid variable name');
+            throw new BadInputError('make', name);
         }
         this.currentScope().set(name, val);
     },
-    local: async function(name, ...names) {
+    local: function(name, ...names) {
         let all;
         if (isList(name)) {
             all = Array.from(name);
@@ -811,13 +2309,13 @@ let builtins = {
         }
         for (let n of all) {
             if (!isString(n)) {
-                throw new TypeError('Invalid variable name');
+                throw new BadInputError('local', n);
             }
             let binding = new Binding();
             this.currentScope().bind(n, binding);
         }
     },
-    global: async function(name, ...names) {
+    global: function(name, ...names) {
         let all;
         if (isList(name)) {
             all = Array.from(name);
@@ -829,7 +2327,7 @@ let builtins = {
         }
         for (let n of all) {
             if (!isString(n)) {
-                throw new TypeError('Invalid variable name');
+                throw new BadInputError('global', n);
             }
             let binding = this.globalScope.getBinding(n);
             if (!binding) {
@@ -839,156 +2337,712 @@ let builtins = {
             this.currentScope().bind(n, binding);
         }
     },
-    push: async function(name, val) {
+    push: function(name, val) {
         let scope = this.currentScope();
         let list = scope.get(name);
         if (!isList(list)) {
-            throw new TypeError(name + ' is not a list');
+            throw new BadInputError('push', list);
         }
         list = new List(val, list);
         scope.set(list);
     },
 
     // Infix operators
-    '+': async function(a, b) {
-        return a + b;
+    '+': function(a, b) {
+        return numberArg('+', a) + numberArg('+', b);
+    },
+    '-': function(a, b) {
+        return numberArg('-', a) - numberArg('-', b);
+    },
+    '*': function(a, b) {
+        return numberArg('*', a) * numberArg('*', b);
     },
-    '-': async function(a, b) {
-        return a - b;
+    '/': function(a, b) {
+        return numberArg('/', a) / divisorArg('/', b);
     },
-    '*': async function(a, b) {
-        return a * b;
+    '<': function(a, b) {
+        return numberArg('<', a) < numberArg('<', b);
     },
-    '/': async function(a, b) {
-        return a / b;
+    '>': function(a, b) {
+        return numberArg('>', a) > numberArg('>', b);
     },
-    '<': async function(a, b) {
-        return a < b;
+    '=': function(a, b) {
+        return logoEqual(a, b);
     },
-    '>': async function(a, b) {
-        return a > b;
+    '<=': function(a, b) {
+        return numberArg('<=', a) <= numberArg('<=', b);
     },
-    '=': async function(a, b) {
-        return List.equal(a, b);
+    '>=': function(a, b) {
+        return numberArg('>=', a) >= numberArg('>=', b);
+    },
+    '<>': function(a, b) {
+        return !logoEqual(a, b);
+    },
+    '^': function(a, b) {
+        return builtins.power.call(this, a, b);
     },
 
     // Arithmetric
-    sum: async function(a, b) {
-        return a + b;
+    sum: function(a, b) {
+        return numberArg('sum', a) + numberArg('sum', b);
+    },
+    difference: function(a, b) {
+        return numberArg('difference', a) - numberArg('difference', b);
+    },
+    product: function(a, b) {
+        return numberArg('product', a) * numberArg('product', b);
+    },
+    quotient: function(a, b) {
+        return numberArg('quotient', a) / divisorArg('quotient', b);
+    },
+    remainder: function(a, b) {
+        // Sign follows the dividend
+        return numberArg('remainder', a) % divisorArg('remainder', b);
+    },
+    modulo: function(a, b) {
+        a = numberArg('modulo', a);
+        b = divisorArg('modulo', b);
+        // Sign follows the divisor
+        return ((a % b) + b) % b;
+    },
+    minus: function(a) {
+        return -numberArg('minus', a);
+    },
+    abs: function(a) {
+        return Math.abs(numberArg('abs', a));
+    },
+    int: function(a) {
+        return Math.trunc(numberArg('int', a));
+    },
+    round: function(a) {
+        a = numberArg('round', a);
+        // Halves round away from zero
+        return Math.sign(a) * Math.round(Math.abs(a));
+    },
+    sqrt: function(a) {
+        a = numberArg('sqrt', a);
+        if (a < 0) {
+            throw new BadInputError('sqrt', a);
+        }
+        return Math.sqrt(a);
+    },
+    power: function(a, b) {
+        a = numberArg('power', a);
+        b = numberArg('power', b);
+        if (a < 0 && b !== Math.floor(b)) {
+            throw new BadInputError('power', b);
+        }
+        return Math.pow(a, b);
+    },
+    exp: function(a) {
+        return Math.exp(numberArg('exp', a));
+    },
+    ln: function(a) {
+        return Math.log(positiveArg('ln', a));
+    },
+    log10: function(a) {
+        return Math.log10(positiveArg('log10', a));
+    },
+    pi: function() {
+        return Math.PI;
+    },
+
+    // Random numbers
+    random: function(a, ...rest) {
+        if (rest.length) {
+            // (random start end) is inclusive of both
+            let start = integerArg('random', a);
+            let end = integerArg('random', rest[0]);
+            if (end < start) {
+                throw new BadInputError('random', end);
+            }
+            return start + this.random.integer(end - start + 1);
+        }
+        let max = integerArg('random', a);
+        if (max <= 0) {
+            throw new BadInputError('random', max);
+        }
+        return this.random.integer(max);
+    },
+    rerandom: function(...args) {
+        let seed = this.randomSeed;
+        if (args.length) {
+            seed = integerArg('rerandom', args[0]);
+        }
+        this.random.seed(seed);
+    },
+    pick: function(thing) {
+        let items;
+        if (isList(thing) || isArray(thing)) {
+            items = Array.from(thing);
+        } else if (isWord(thing)) {
+            items = Array.from(String(thing));
+        } else {
+            throw new BadInputError('pick', thing);
+        }
+        if (!items.length) {
+            throw new BadInputError('pick', thing);
+        }
+        return items[this.random.integer(items.length)];
+    },
+    shuffle: function(list) {
+        if (!isList(list)) {
+            throw new BadInputError('shuffle', list);
+        }
+        // Fisher-Yates on a copy
+        let items = Array.from(list);
+        for (let i = items.length - 1; i > 0; i--) {
+            let j = this.random.integer(i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return List.from(items);
+    },
+
+    // Trigonometry, in degrees with rad- variants in radians
+    sin: function(a) {
+        return Math.sin(degrees(numberArg('sin', a)));
+    },
+    cos: function(a) {
+        return Math.cos(degrees(numberArg('cos', a)));
+    },
+    tan: function(a) {
+        return Math.tan(degrees(numberArg('tan', a)));
+    },
+    arctan: function(a, ...rest) {
+        return Math.atan2(...arctanArgs('arctan', a, rest)) * 180 / Math.PI;
+    },
+    radsin: function(a) {
+        return Math.sin(numberArg('radsin', a));
+    },
+    radcos: function(a) {
+        return Math.cos(numberArg('radcos', a));
+    },
+    radtan: function(a) {
+        return Math.tan(numberArg('radtan', a));
+    },
+    radarctan: function(a, ...rest) {
+        return Math.atan2(...arctanArgs('radarctan', a, rest));
+    },
+
+    // Bitwise operations on integers
+    bitand: function(a, b, ...rest) {
+        return [a, b].concat(rest).reduce((acc, val) => {
+            return acc & integerArg('bitand', val);
+        }, -1);
     },
-    difference: async function(a, b) {
-        return a - b;
+    bitor: function(a, b, ...rest) {
+        return [a, b].concat(rest).reduce((acc, val) => {
+            return acc | integerArg('bitor', val);
+        }, 0);
     },
-    product: async function(a, b) {
-        return a * b;
+    bitxor: function(a, b, ...rest) {
+        return [a, b].concat(rest).reduce((acc, val) => {
+            return acc ^ integerArg('bitxor', val);
+        }, 0);
     },
-    quotient: async function(a, b) {
-        return a / b;
+    bitnot: function(a) {
+        return ~integerArg('bitnot', a);
     },
-    remainder: async function(a, b) {
-        return a % b;
+    ashift: function(a, bits) {
+        a = integerArg('ashift', a);
+        bits = integerArg('ashift', bits);
+        // Arithmetic shift left if positive, right if negative
+        return (bits >= 0) ? (a << bits) : (a >> -bits);
     },
 
     // Predicates
-    emptyp: async function(arg) {
+    emptyp: function(arg) {
         if (isList(arg)) {
             return arg.isEmpty();
         }
+        if (isArray(arg)) {
+            return arg.count() === 0;
+        }
         if (isString(arg)) {
             return arg === '';
         }
         return false;
     },
-    equalp: async function(a, b) {
-        return List.equal(a, b);
+    equalp: function(a, b) {
+        return logoEqual(a, b);
     },
-    listp: async function(arg) {
+    listp: function(arg) {
         return isList(arg);
     },
-    memberp: async function(arg, list) {
+    memberp: function(arg, list) {
+        if (isWord(list)) {
+            return isWord(arg) &&
+                wordChars(arg).length === 1 &&
+                wordChars(list).includes(String(arg));
+        }
         if (!isList(list)) {
-            throw new TypeError('list must be a list');
+            throw new BadInputError('memberp', list);
         }
-        for (let item in list) {
-            if (List.equal(arg, item)) {
+        for (let item of list) {
+            if (logoEqual(arg, item)) {
                 return true;
             }
         }
         return false;
     },
-    numberp: async function(arg) {
-        return isNumber(arg);
+    numberp: function(arg) {
+        // Numeric words count as numbers
+        return toNumber(arg) !== undefined;
     },
-    wordp: async function(arg) {
+    wordp: function(arg) {
         // Note in Atari Logo at least, words include numbers and booleans
         return isWord(arg);
     },
 
     // Control structures
-    stop: async function() {
+    stop: function() {
         let context = this.currentContext();
         if (context === this.globalContext) {
-            throw new SyntaxError('stop is not allowed at top level');
+            throw new LogoSyntaxError('Can only use stop or output inside a procedure', 31);
         }
         context.stop = true;
     },
-    output: async function(arg) {
+    output: function(arg) {
         let context = this.currentContext();
         if (context === this.globalContext) {
-            throw new SyntaxError('output is not allowed at top level');
+            throw new LogoSyntaxError('Can only use stop or output inside a procedure', 31);
         }
         context.stop = true;
         context.output = arg;
     },
-    run: async function(block) {
+    run: function(block) {
         if (!isList(block)) {
-            throw new TypeError('block must be a list');
+            throw new BadInputError('run', block);
         }
-        return await this.evaluate(block);
+        return this.evaluate(block);
     },
-    runresult: async function(block) {
+    runresult: function(block) {
         if (!isList(block)) {
-            throw new TypeError('block must be a list');
+            throw new BadInputError('runresult', block);
         }
-        let result = await this.evaluate(block);
-        if (result === undefined) {
-            return List.empty;
+        return andThen(this.evaluate(block), (result) => {
+            if (result === undefined) {
+                return List.empty;
+            }
+            return List.of(result);
+        });
+    },
+    launch: function(block) {
+        if (!isList(block)) {
+            throw new BadInputError('launch', block);
         }
-        return List.of(result);
+        this.launch(block);
     },
-    repeat: async function(times, block) {
-        if (!isNumber(times)) {
-            throw new TypeError('times must be a number');
+    stopall: function() {
+        this.stopAll();
+    },
+    repeat: function(times, block) {
+        times = numberArg('repeat', times);
+        if (!isList(block)) {
+            throw new BadInputError('repeat', block);
         }
+        let counts = this.task.repeatCounts;
+        counts.push(0);
+        let i = 0;
+        return settle(() => runLoop.call(this, block, () => {
+            return (i < times) ? ++i : undefined;
+        }, (count) => {
+            counts[counts.length - 1] = count;
+        }), () => counts.pop());
+    },
+    forever: function(block) {
         if (!isList(block)) {
-            throw new TypeError('block must be a list');
+            throw new BadInputError('forever', block);
         }
-        for (let i = 0; i < times; i++) {
-            await this.evaluate(block);
-            if (this.currentContext().stop) {
-                break;
-            }
+        let counts = this.task.repeatCounts;
+        counts.push(0);
+        let i = 0;
+        return settle(() => runLoop.call(this, block, () => ++i, (count) => {
+            counts[counts.length - 1] = count;
+        }), () => counts.pop());
+    },
+    repcount: function() {
+        let counts = this.task.repeatCounts;
+        if (counts.length) {
+            return counts[counts.length - 1];
         }
+        return -1;
     },
-    forever: async function(block) {
-        for (;;) {
-            await this.evaluate(block);
-            if (this.currentContext().stop) {
-                break;
-            }
+    for: function(control, block) {
+        if (!isList(control) || !isString(control.head)) {
+            throw new BadInputError('for', control);
         }
+        if (!isList(block)) {
+            throw new BadInputError('for', block);
+        }
+        let name = control.head;
+        let values = [];
+        return andThen(this.evaluate(control.tail, values), () => {
+            if (values.length < 2 || values.length > 3) {
+                throw new BadInputError('for', control);
+            }
+            let [start, limit, step] = values.map((val) => numberArg('for', val));
+            if (step === undefined) {
+                step = (start <= limit) ? 1 : -1;
+            }
+            if (step === 0) {
+                throw new BadInputError('for', control);
+            }
+
+            // The loop variable is local to the for
+            let scope = new Scope(this.currentScope());
+            scope.bindValue(name, start);
+            this.scopes.push(scope);
+            let i = start;
+            return settle(() => runLoop.call(this, block, () => {
+                if ((step > 0) ? (i > limit) : (i < limit)) {
+                    return undefined;
+                }
+                let val = i;
+                i += step;
+                return val;
+            }, (val) => {
+                scope.set(name, val);
+            }), () => {
+                this.scopes.pop();
+                scope.release();
+            });
+        });
+    },
+    while: function(cond, block) {
+        return doLoop.call(this, 'while', cond, block, true, true);
+    },
+    until: function(cond, block) {
+        return doLoop.call(this, 'until', cond, block, true, false);
+    },
+    'do.while': function(block, cond) {
+        return doLoop.call(this, 'do.while', cond, block, false, true);
+    },
+    'do.until': function(block, cond) {
+        return doLoop.call(this, 'do.until', cond, block, false, false);
     },
-    if: async function(cond, block) {
+    if: function(cond, block) {
         if (cond) {
-            return await this.evaluate(block);
+            return this.evaluate(block);
         }
     },
-    ifelse: async function(cond, thenBlock, elseBlock) {
+    ifelse: function(cond, thenBlock, elseBlock) {
         if (cond) {
-            return await this.evaluate(block);
+            return this.evaluate(thenBlock);
         } else {
+            return this.evaluate(elseBlock);
+        }
+    },
+    test: function(cond) {
+        if (!isBoolean(cond)) {
+            throw new BadInputError('test', cond);
+        }
+        // Remembered for iftrue and iffalse in the same procedure
+        this.currentContext().test = cond;
+    },
+    iftrue: function(block) {
+        if (testResult.call(this, 'iftrue')) {
+            return this.evaluate(block);
+        }
+    },
+    iffalse: function(block) {
+        if (!testResult.call(this, 'iffalse')) {
+            return this.evaluate(block);
+        }
+    },
+    case: async function(value, clauses) {
+        if (!isList(clauses)) {
+            throw new BadInputError('case', clauses);
+        }
+        for (let clause of clauses) {
+            if (!isList(clause) || clause.isEmpty()) {
+                throw new BadInputError('case', clause);
+            }
+            let match = clause.head;
+            if (match === 'else' || (isList(match) && await builtins.memberp.call(this, value, match))) {
+                return await this.evaluate(clause.tail);
+            }
+        }
+    },
+    cond: async function(clauses) {
+        if (!isList(clauses)) {
+            throw new BadInputError('cond', clauses);
+        }
+        for (let clause of clauses) {
+            if (!isList(clause) || clause.isEmpty()) {
+                throw new BadInputError('cond', clause);
+            }
+            let match = clause.head;
+            if (match === 'else' || await evaluateCondition.call(this, 'cond', match)) {
+                return await this.evaluate(clause.tail);
+            }
+        }
+    },
+    ignore: function(_value) {
+        // Discards its input
+    },
+
+    // Error handling
+    catch: async function(tag, block) {
+        if (!isString(tag)) {
+            throw new BadInputError('catch', tag);
+        }
+        if (!isList(block)) {
+            throw new BadInputError('catch', block);
+        }
+        try {
             return await this.evaluate(block);
+        } catch (e) {
+            if (e instanceof ThrowError) {
+                // "true matches any thrown tag other than errors
+                if (e.tag === tag || tag === 'true') {
+                    return e.value;
+                }
+                throw e;
+            }
+            if (e instanceof LogoError && tag === 'error') {
+                this.task.lastError = e;
+                return undefined;
+            }
+            throw e;
+        }
+    },
+    throw: function(tag, ...rest) {
+        if (!isString(tag)) {
+            throw new BadInputError('throw', tag);
+        }
+        if (tag === 'error') {
+            // User-generated error, catchable with "error
+            if (rest.length) {
+                throw new LogoError(List.stringify(rest[0], ['', '']), 35);
+            }
+            throw new LogoError('Throw "Error', 21);
+        }
+        throw new ThrowError(tag, rest[0]);
+    },
+    error: function() {
+        let e = this.task.lastError;
+        if (!e) {
+            return List.empty;
+        }
+        this.task.lastError = null;
+        return List.of(e.code, e.message,
+            e.procName || List.empty,
+            e.snippet ? e.snippet.trim() : List.empty);
+    },
+
+    // Property lists
+    pprop: function(name, prop, val) {
+        if (!isString(name)) {
+            throw new BadInputError('pprop', name);
+        }
+        if (!isWord(prop)) {
+            throw new BadInputError('pprop', prop);
+        }
+        let plist = this.propertyLists.get(name);
+        if (!plist) {
+            plist = new PropertyList();
+            this.propertyLists.set(name, plist);
+        }
+        plist.set(prop, val);
+    },
+    gprop: function(name, prop) {
+        if (!isString(name)) {
+            throw new BadInputError('gprop', name);
+        }
+        let plist = this.propertyLists.get(name);
+        let val = plist && plist.get(prop);
+        return (val === undefined) ? List.empty : val;
+    },
+    remprop: function(name, prop) {
+        if (!isString(name)) {
+            throw new BadInputError('remprop', name);
+        }
+        let plist = this.propertyLists.get(name);
+        if (plist) {
+            plist.delete(prop);
+            if (!plist.size) {
+                this.propertyLists.delete(name);
+            }
+        }
+    },
+    plist: function(name) {
+        if (!isString(name)) {
+            throw new BadInputError('plist', name);
+        }
+        let builder = new ListBuilder();
+        let plist = this.propertyLists.get(name);
+        if (plist) {
+            for (let [prop, val] of plist) {
+                builder.push(prop);
+                builder.push(val);
+            }
+        }
+        return builder.list;
+    },
+    pprops: async function() {
+        for (let name of this.propertyLists.keys()) {
+            for (let line of plistSource.call(this, name)) {
+                await this.print(line);
+            }
+        }
+    },
+    erpls: function() {
+        this.propertyLists.clear();
+    },
+
+    // Workspace management
+    define: function(name, text) {
+        defineProcedure.call(this, 'define', name, text, false);
+    },
+    '.defmacro': function(name, text) {
+        defineProcedure.call(this, '.defmacro', name, text, true);
+    },
+    macrop: function(name) {
+        let binding = isString(name) && this.procedureScope.getBinding(name);
+        return Boolean(binding && isUserProcedure(binding.value) && binding.value.macro);
+    },
+    macroexpand: async function(expr) {
+        if (!isList(expr) || expr.isEmpty()) {
+            throw new BadInputError('macroexpand', expr);
+        }
+        let func = getProcedure.call(this, 'macroexpand', expr.head);
+        if (!func.macro) {
+            throw new BadInputError('macroexpand', expr.head);
+        }
+        let args = [];
+        await this.evaluate(expr.tail, args);
+        if (args.length < func.length) {
+            throw new NotEnoughInputsError(expr.head);
+        }
+        return macroExpansion(func, await func.apply(this, args));
+    },
+    text: function(name) {
+        let func = getUserProcedure.call(this, 'text', name);
+        return new List(List.from(func.argNames), func.lines);
+    },
+    fulltext: function(name) {
+        let func = getUserProcedure.call(this, 'fulltext', name);
+        return procedureFullText(func);
+    },
+    procedures: function() {
+        return List.from(procedureNames.call(this, true));
+    },
+    primitives: function() {
+        return List.from(procedureNames.call(this, false));
+    },
+    erase: function(contents) {
+        let {procs, vars, plists} = contentsList('erase', contents);
+        for (let name of procs) {
+            getUserProcedure.call(this, 'erase', name);
+            this.procedureScope.unbind(name);
+        }
+        for (let name of vars) {
+            this.globalScope.unbind(name);
+        }
+        for (let name of plists) {
+            this.propertyLists.delete(name);
+        }
+    },
+    erall: function() {
+        for (let name of procedureNames.call(this, true)) {
+            this.procedureScope.unbind(name);
+        }
+        for (let name of Object.keys(this.globalScope.bindings)) {
+            this.globalScope.unbind(name);
+        }
+        this.propertyLists.clear();
+    },
+    po: async function(contents) {
+        let {procs, vars, plists} = contentsList('po', contents);
+        for (let name of procs) {
+            let func = getUserProcedure.call(this, 'po', name);
+            for (let line of procedureFullText(func)) {
+                await this.print(line);
+            }
+        }
+        for (let name of vars) {
+            let binding = this.globalScope.getBinding(name);
+            if (!binding || binding.value === undefined) {
+                throw new NoValueError(name);
+            }
+            await this.print('make ' + formatValue(name) + ' ' + formatValue(binding.value));
+        }
+        for (let name of plists) {
+            for (let line of plistSource.call(this, name)) {
+                await this.print(line);
+            }
+        }
+    },
+    pot: async function(contents) {
+        let {procs} = contentsList('pot', contents);
+        for (let name of procs) {
+            let func = getUserProcedure.call(this, 'pot', name);
+            await this.print(procedureTitle(func));
+        }
+    },
+    pots: async function() {
+        for (let name of procedureNames.call(this, true)) {
+            let func = this.procedureScope.getBinding(name).value;
+            await this.print(procedureTitle(func));
+        }
+    },
+    check: async function(contents, ...rest) {
+        let names = [];
+        for (let arg of [contents, ...rest]) {
+            names.push(...contentsList('check', arg).procs);
+        }
+        for (let name of names) {
+            let func = getUserProcedure.call(this, 'check', name);
+            let source = Array.from(procedureFullText(func)).join('\n');
+            for (let warning of lint(source, this)) {
+                await this.print(warning.message + ' in ' + name +
+                    ', line ' + warning.span.line);
+            }
+        }
+    },
+    procedurep: function(name) {
+        return isString(name) && !!this.procedureScope.getBinding(name);
+    },
+    primitivep: function(name) {
+        let binding = isString(name) && this.procedureScope.getBinding(name);
+        return !!binding && !isUserProcedure(binding.value);
+    },
+    definedp: function(name) {
+        let binding = isString(name) && this.procedureScope.getBinding(name);
+        return !!binding && isUserProcedure(binding.value);
+    },
+    save: async function(name) {
+        if (!isString(name)) {
+            throw new BadInputError('save', name);
+        }
+        let text = this.saveWorkspace(storageFormat(name));
+        await storageCall.call(this, 'write', name, text);
+    },
+    load: async function(name) {
+        if (!isString(name)) {
+            throw new BadInputError('load', name);
         }
+        let text = await storageCall.call(this, 'read', name);
+        await this.loadWorkspace(text, storageFormat(name));
+    },
+    copydef: function(newName, oldName) {
+        if (!isString(newName)) {
+            throw new BadInputError('copydef', newName);
+        }
+        let func = getProcedure.call(this, 'copydef', oldName);
+        let binding = this.procedureScope.getBinding(newName);
+        if (binding && !isUserProcedure(binding.value)) {
+            throw new LogoError(newName + ' is a primitive', 22);
+        }
+        if (isUserProcedure(func)) {
+            // Re-wrap so the copy knows its own name
+            func = this.procedure(newName, func.argNames, func.body, {
+                lines: func.lines,
+                macro: func.macro,
+            });
+        }
+        this.procedureScope.set(newName, func);
     },
 
     // Template iteration
@@ -1010,6 +3064,171 @@ let builtins = {
         });
         return builder.list;
     },
+    'map.se': async function(data, template, ...rest) {
+        let builder = new ListBuilder();
+        let length = 0;
+        await doMap.call(this, data, template, rest, (val) => {
+            if (isList(val)) {
+                length += val.count();
+                this.checkLength('list', length);
+                builder.concat(val);
+            } else if (val !== undefined) {
+                this.checkLength('list', ++length);
+                builder.push(val);
+            }
+        });
+        return builder.list;
+    },
+    filter: async function(data, template) {
+        let items = templateData('filter', data);
+        let kept = [];
+        for (let [i, item] of items.entries()) {
+            if (await templatePredicate.call(this, 'filter', template, [item], i + 1)) {
+                kept.push(item);
+            }
+        }
+        return isList(data) ? List.from(kept) : kept.join('');
+    },
+    find: async function(data, template) {
+        let items = templateData('find', data);
+        for (let [i, item] of items.entries()) {
+            if (await templatePredicate.call(this, 'find', template, [item], i + 1)) {
+                return item;
+            }
+        }
+        return List.empty;
+    },
+    reduce: async function(data, template) {
+        let items = templateData('reduce', data);
+        if (!items.length) {
+            throw new BadInputError('reduce', data);
+        }
+        // Combines from the right: reduce [a b c] "f is f a f b c
+        let result = items.pop();
+        while (items.length) {
+            result = await this.runTemplate(template, [items.pop(), result]);
+        }
+        return result;
+    },
+    cascade: async function(endtest, template, start, ...rest) {
+        let templates = [template];
+        let values = [start];
+        while (rest.length >= 2) {
+            templates.push(rest.shift());
+            values.push(rest.shift());
+        }
+        let final = rest.length ? rest[0] : undefined;
+        // A number of repetitions, or a template to stop on
+        let times = toNumber(endtest);
+        for (let n = 1; ; n++) {
+            let done = (times !== undefined)
+                ? n > times
+                : await templatePredicate.call(this, 'cascade', endtest, values, n);
+            if (done) {
+                break;
+            }
+            let next = [];
+            for (let template of templates) {
+                next.push(await this.runTemplate(template, values, n));
+            }
+            values = next;
+        }
+        if (final !== undefined) {
+            return await this.runTemplate(final, values);
+        }
+        return values[0];
+    },
+    'cascade.2': async function(endtest, template1, start1, template2, start2) {
+        return await builtins.cascade.call(this, endtest, template1, start1, template2, start2);
+    },
+    transfer: async function(inbasket, endtest, template) {
+        // Templates see ?in as the current member and ?out as the result so far
+        let items = templateData('transfer', inbasket);
+        let out = List.empty;
+        for (let [i, item] of items.entries()) {
+            let stop = isList(endtest) && endtest.isEmpty()
+                ? false
+                : await templatePredicate.call(this, 'transfer', endtest, [item, out], i + 1);
+            if (stop) {
+                break;
+            }
+            out = await this.runTemplate(template, [item, out], i + 1);
+        }
+        return out;
+    },
+    crossmap: async function(data, template, ...rest) {
+        // As with map, any more data comes before the template
+        let sources = [data];
+        while (rest.length) {
+            sources.push(template);
+            template = rest.shift();
+        }
+        if (sources.length === 1) {
+            sources = templateData('crossmap', data);
+        }
+        sources = sources.map((source) => templateData('crossmap', source));
+        // One output for each combination
+        this.checkLength('list', sources.reduce((product, source) => product * source.length, 1));
+        let builder = new ListBuilder();
+        let n = 0;
+        // Every combination, with the first input varying slowest
+        let combine = async (args) => {
+            if (args.length === sources.length) {
+                builder.push(await this.runTemplate(template, args, ++n));
+                return;
+            }
+            for (let item of sources[args.length]) {
+                await combine(args.concat([item]));
+            }
+        };
+        await combine([]);
+        return builder.list;
+    },
+    iseq: function(from, to) {
+        from = integerArg('iseq', from);
+        to = integerArg('iseq', to);
+        let step = (from <= to) ? 1 : -1;
+        this.checkLength('list', Math.abs(to - from) + 1);
+        let builder = new ListBuilder();
+        for (let i = from; i !== to + step; i += step) {
+            builder.push(i);
+        }
+        return builder.list;
+    },
+    sort: async function(data, ...rest) {
+        if (!isList(data)) {
+            throw new BadInputError('sort', data);
+        }
+        let before = defaultBefore;
+        if (rest.length) {
+            let template = rest[0];
+            before = (a, b) => templatePredicate.call(this, 'sort', template, [a, b]);
+        }
+        return List.from(await mergeSort(Array.from(data), before));
+    },
+
+    // Template inputs
+    '?': function(...rest) {
+        let n = rest.length ? integerArg('?', rest[0]) : 1;
+        return templateInputs.call(this, '?')[n - 1];
+    },
+    '?rest': function(...rest) {
+        let n = rest.length ? integerArg('?rest', rest[0]) : 1;
+        return List.from(templateInputs.call(this, '?rest').slice(n));
+    },
+    '?in': function() {
+        return templateInputs.call(this, '?in')[0];
+    },
+    '?out': function() {
+        return templateInputs.call(this, '?out')[1];
+    },
+    '#': function() {
+        let frame = templateFrame.call(this);
+        if (!frame || frame.index === undefined) {
+            throw new NoValueError('#');
+        }
+        return frame.index;
+    },
 };
 
 // Aliases of builtin procedures and macros
@@ -1017,375 +3236,1198 @@ let aliases = {
     'op': 'output',
     'bf': 'butfirst',
     'bl': 'butlast',
+    'beforep': 'before?',
+    'rw': 'readword',
+    'rl': 'readlist',
+    'rc': 'readchar',
+    'rcs': 'readchars',
 };
 for (let [alias, original] of Object.entries(aliases)) {
     builtins[alias] = builtins[original];
 }
 
+// What static checks such as lint.js need to know about builtins
+// besides their input counts is kept as properties of the functions.
+// `codeInputs` lists the inputs that are run as code, by position,
+// or is true for all of them. `outputs` is true for those that
+// output, false for those that never do, and null for those that
+// output whatever the code they run does.
+let codeInputs = {
+    'repeat': [1],
+    'forever': [0],
+    'if': [1, 2],
+    'ifelse': [1, 2],
+    'iftrue': [0],
+    'iffalse': [0],
+    'while': [0, 1],
+    'until': [0, 1],
+    'do.while': [0, 1],
+    'do.until': [0, 1],
+    'for': [1],
+    'run': [0],
+    'runresult': [0],
+    'catch': [1],
+    'launch': [0],
+    'and': true,
+    'or': true,
+};
+let commands = [
+    'print', 'show', 'make', 'local', 'global', 'push', 'ignore',
+    'setitem', 'mdsetitem', 'pprop', 'remprop', 'pprops', 'erpls',
+    'define', '.defmacro', 'copydef', 'erase', 'erall', 'po', 'pot',
+    'pots', 'check', 'save', 'load', 'rerandom', 'wait', 'launch',
+    'stop', 'stopall', 'output', 'throw', 'test', 'repeat',
+    'forever', 'for', 'foreach', 'while', 'until', 'do.while', 'do.until',
+];
+let passThrough = [
+    'run', 'if', 'ifelse', 'iftrue', 'iffalse', 'catch',
+    'apply', 'invoke', 'case', 'cond',
+];
+for (let func of Object.values(builtins)) {
+    func.outputs = true;
+}
+for (let name of commands) {
+    builtins[name].outputs = false;
+}
+for (let name of passThrough) {
+    builtins[name].outputs = null;
+}
+for (let [name, inputs] of Object.entries(codeInputs)) {
+    builtins[name].codeInputs = inputs;
+}
+
+// Ways to give the event loop a turn, for use as onyield
+
+/**
+ * Yield with a zero-length timeout. Works everywhere, but
+ * browsers may clamp repeated timeouts to 4 ms or more.
+ *
+ * @returns {Promise}
+ */
+export function timeoutYield() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+/**
+ * Yield through a message to ourselves, which is not clamped
+ * like timeouts are. Input is handled, but the page may not
+ * be painted in between.
+ *
+ * @returns {Promise}
+ */
+export function messageChannelYield() {
+    return new Promise((resolve) => {
+        let channel = new MessageChannel();
+        channel.port1.onmessage = () => {
+            channel.port1.close();
+            resolve();
+        };
+        channel.port2.postMessage(null);
+    });
+}
+
+/**
+ * Yield until the next animation frame, so drawing shows up
+ * as it goes. Browser only.
+ *
+ * @returns {Promise}
+ */
+export function animationFrameYield() {
+    return new Promise((resolve) => requestAnimationFrame(() => resolve()));
+}
+
 export class Interpreter {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.seed] - fixed seed for random numbers,
+     *                                  for reproducible runs
+     * @param {object} [options.limits] - execution limits; see `limits`
+     * @param {number} [options.yieldTime] - see `yieldTime`
+     * @param {number} [options.yieldInstructions] - see `yieldInstructions`
+     * @param {function} [options.onyield] - see `onyield`
+     * @param {boolean} [options.compiled] - see `compiled`
+     */
+    constructor({seed, limits={}, yieldTime, yieldInstructions, onyield=null, compiled=false}={}) {
         // procedurs
         this.procedureScope = new Scope();
         this.procedureScope.bindValues(builtins);
         // variables
         this.globalScope = new Scope();
-        // top-level context
-        this.globalContext = new Context();
-
-        // stack
-        this.scopes = [this.globalScope];
-        this.contexts = [this.globalContext];
+        // property lists, mapping names to PropertyLists
+        this.propertyLists = new Map();
+
+        // Tasks started and not yet finished, in the order they
+        // were started, and the one whose turn it is. Between
+        // runs an idle task holds the stacks.
+        this.nextTaskId = 1;
+        this.idleTask = new Task(0, this.globalScope);
+        this.task = this.idleTask;
+        this.tasks = [];
+        // Tasks waiting for their turn, as {task, resume}.
+        this.readyTasks = [];
+        // Number of execute() calls running or waiting their turn,
+        // and a promise that settles once the last one is done.
+        this.executeCount = 0;
+        this.lastExecute = Promise.resolve();
 
         // keeps track of original source position of parsed list nodes
         this.sourceMap = new WeakMap();
 
-        // Set to true during program execution.
-        this.running = false;
-        // Set to true when break() is called.
-        this.breakFlag = false;
         // Set to true when pause() is called.
         this.paused = false;
 
+        // Random number source for random, pick and shuffle.
+        // Without a seed, each interpreter gets a different sequence.
+        if (seed === undefined) {
+            seed = Math.floor(Math.random() * 4294967296);
+        }
+        this.randomSeed = seed;
+        this.random = new SeededRandom(seed);
+
+        // Provider for the save and load commands.
+        // See storage.js for alternatives.
+        this.storage = new MemoryStorage();
+
+        // Execution limits, each unlimited if not set:
+        // - instructions: procedure calls and loop iterations per task
+        // - time: milliseconds per task
+        // - depth: nested procedure calls
+        // - listLength: items in a list or array made by a primitive
+        // - wordLength: characters in a word made by a primitive
+        // - bindings: variables and user procedures in existence
+        this.limits = Object.assign({}, limits);
+        this.bindingCount = 0;
+        let onresize = (delta) => {
+            let limit = this.limits.bindings;
+            if (delta > 0 && limit !== undefined && this.bindingCount + delta > limit) {
+                throw new BindingLimitError(limit);
+            }
+            this.bindingCount += delta;
+        };
+        // Builtins don't count
+        this.procedureScope.onresize = onresize;
+        this.globalScope.onresize = onresize;
+
+        // Counter for unique words made by gensym.
+        this.gensymCount = 0;
+
         // Sync callback for cancelable async operations
         // exposed through commands.
         this.onbreak = null;
         this.oncontinue = null;
 
-        // Async callback for Logo code evaluation.
-        // Is called with the body, current node, and
-        // argument values on every command or operation
-        // call.
-        //
-        // Code can trace, or even delay execution.
-        this.oncall = null;
-        this.onvalue = null;
-        this.onprint = null;
+        // Async callback for Logo code evaluation.
+        // Is called with the body, current node, and
+        // argument values on every command or operation
+        // call.
+        //
+        // Code can trace, or even delay execution.
+        this.oncall = null;
+        this.onvalue = null;
+        this.onprint = null;
+
+        // Async callback with each instruction list that `and` or
+        // `or` didn't run, as the result was already known, and
+        // its list node if it was written in the source.
+        this.onskip = null;
+
+        // Async callback giving input to readword, readchar and
+        // friends; see read(). Without one, reads find the end of
+        // the input.
+        this.oninput = null;
+
+        // Callback with errors from tasks started by `launch`,
+        // which have nobody waiting on them to catch them.
+        this.ontaskerror = null;
+        // Callback once a launched task is done, however it ended.
+        this.ontaskdone = null;
+
+        // Breakpoints by id; see setBreakpoint().
+        this.breakpoints = new Map();
+        this.nextBreakpointId = 1;
+        // Pending step: 'into', 'over' or 'out', relative to
+        // the call depth when it was requested.
+        this.stepMode = null;
+        this.stepDepth = 0;
+        // Node of the call we're paused before, if any.
+        this.pausedNode = undefined;
+        // Line of the last call, and whether an instruction has
+        // begun since, so line breakpoints fire once for each
+        // instruction run on a line.
+        this.lastLine = undefined;
+        this.newInstruction = false;
+        // Set while a breakpoint condition or watch expression
+        // is being evaluated.
+        this.inspecting = false;
+
+        // Callback when execution pauses before a call, with
+        // the reason ('pause', 'step' or 'breakpoint'), the
+        // node about to be called, and the breakpoint if any.
+        this.onpaused = null;
+
+        // Running code gives the event loop a turn once it has
+        // run for yieldTime milliseconds, or made yieldInstructions
+        // procedure calls and loop iterations, since it last did.
+        // Either may be left unset; with neither, code only
+        // yields when its procedures do.
+        this.yieldTime = yieldTime;
+        this.yieldInstructions = yieldInstructions;
+        this.yieldCount = 0;
+        this.lastYield = 0;
+
+        // Async callback that yields to the event loop, such as
+        // messageChannelYield or animationFrameYield. Defaults
+        // to timeoutYield.
+        this.onyield = onyield;
+
+        // In compiled mode, instruction lists are turned into JS
+        // closures once and run from those, synchronously as far as
+        // the procedures they call allow. Hooks and the debugger
+        // still see every call, as the interpreter takes over while
+        // they're in use. Compiled code is cached by list, and
+        // dropped when procedures change.
+        this.compiled = compiled;
+        this.compiledCode = new WeakMap();
+        // Compiled calls nested on the JS stack; see maxCompiledDepth.
+        this.compiledDepth = 0;
+    }
+
+    /**
+     * True while any task is running or waiting its turn.
+     *
+     * @returns {boolean}
+     */
+    get running() {
+        return this.tasks.length > 0;
+    }
+
+    // Stacks of the task whose turn it is
+
+    get scopes() {
+        return this.task.scopes;
+    }
+
+    get contexts() {
+        return this.task.contexts;
+    }
+
+    get globalContext() {
+        return this.task.globalContext;
+    }
+
+    currentContext() {
+        let contexts = this.contexts;
+        let len = contexts.length;
+        if (len > 0) {
+            return contexts[len - 1];
+        }
+        return undefined;
+    }
+
+    currentScope() {
+        let scopes = this.scopes;
+        let len = scopes.length;
+        if (len > 0) {
+            return scopes[len - 1];
+        }
+        return undefined;
+    }
+
+    async print(str) {
+        str = String(str);
+        if (this.onprint) {
+            await this.onprint(str);
+        } else {
+            this.console.log(str);
+        }
+    }
+
+    /**
+     * Ask the host for input through the `oninput` hook, which
+     * is called with the kind of input wanted:
+     *
+     * - 'line': a line of text, without the line ending
+     * - 'chars': `count` characters, typed or not
+     * - 'ready': whether a character can be read without waiting
+     *
+     * It should give a promise of the text, or of null at the end
+     * of the input. The read stops with an error if break() is
+     * called meanwhile, and the hook is told through the abort
+     * signal it was given, so it can take down any prompt.
+     *
+     * @param {string} kind - 'line', 'chars' or 'ready'
+     * @param {number} [count=1] - number of characters, for 'chars'
+     * @returns {Promise<string|boolean|null>}
+     */
+    read(kind, count=1) {
+        if (!this.oninput) {
+            return Promise.resolve(kind === 'ready' ? false : null);
+        }
+        return new Promise((resolve, reject) => {
+            let controller = new AbortController();
+            this.onbreak = (reason) => {
+                this.onbreak = null;
+                controller.abort();
+                reject(reason);
+            };
+            Promise.resolve(this.oninput(kind, count, controller.signal)).then((val) => {
+                this.onbreak = null;
+                resolve(val);
+            }, (e) => {
+                this.onbreak = null;
+                reject(e);
+            });
+        });
+    }
+
+    /**
+     * Create a live function object wrapping a Logo
+     * procedure definition.
+     *
+     * The definition is kept on the function object as the
+     * `argNames`, `body`, `lines` and `source` properties for
+     * introspection with `text` and friends, and `macro` marks
+     * procedures defined with `.macro` or `.defmacro`.
+     *
+     * @param {string} funcName 
+     * @param {Iterable<string>} argNames 
+     * @param {List} body 
+     * @param {object} [options]
+     * @param {List} [options.lines] - body split into a list of instruction lines
+     * @param {string} [options.source] - original `to`...`end` source text
+     * @param {boolean} [options.macro] - whether the output is an instruction
+     *                                    list to run in the caller's context
+     * @returns {function}
+     */
+    procedure(funcName, argNames, body, {lines, source, macro=false}={}) {
+        if (!isString(funcName)) {
+            throw new TypeError('function name must be a string');
+        }
+        argNames = Array.from(argNames);
+        for (let name of argNames) {
+            if (!isString(name)) {
+                throw new TypeError('function argument names must be strings');
+            }
+        }
+        if (lines === undefined) {
+            lines = this.bodyLines(body);
+        }
+        let func = (...args) => {
+            let parentScope = this.currentScope();
+            let proc = func;
+            let inherited;
+            // Whether every tail call so far was the input to output
+            let outputs = true;
+            let lastTail;
+            // Innermost tail call that should have output but didn't
+            let missing;
+            let retval;
+            // Tail calls made by the body are run here in turn, in
+            // place of the procedure that made them, so recursion
+            // doesn't nest JS calls.
+            let depth = this.limits.depth;
+            if (depth !== undefined && this.contexts.length > depth) {
+                throw new CallDepthError(depth);
+            }
+
+            // Run the body of proc in a new frame. Gives its context,
+            // or a promise of it if the body didn't run synchronously.
+            let enter = () => {
+                let scope = new Scope(parentScope);
+                try {
+                    if (inherited) {
+                        // Keep the caller's variables visible, as if nested
+                        for (let name of Object.keys(inherited.bindings)) {
+                            scope.bind(name, inherited.bindings[name]);
+                        }
+                    }
+                    // Locally bind the arguments
+                    for (let [index, name] of proc.argNames.entries()) {
+                        scope.bindValue(name, args[index]);
+                    }
+                } catch (e) {
+                    // Over the binding limit
+                    scope.release();
+                    throw e;
+                }
+                let context = new Context(proc.name, args, scope);
+                this.scopes.push(scope);
+                this.contexts.push(context);
+                return settle(() => this.evaluate(proc.body, undefined, true), () => {
+                    this.contexts.pop();
+                    this.scopes.pop();
+                    scope.release();
+                }, () => context);
+            };
+
+            // Take up the tail call left by the body, if any.
+            // Returns true once there's none, with retval set.
+            let finish = (context) => {
+                let tail = context.tailCall;
+                let outputMissing = lastTail && lastTail.output &&
+                    (tail ? !tail.output : context.output === undefined);
+                if (outputMissing) {
+                    missing = {name: proc.name, node: lastTail.node};
+                }
+                if (!tail) {
+                    if (missing) {
+                        let error = new DidntOutputError(missing.name, 'output');
+                        throw this.annotateError(error, missing.node);
+                    }
+                    retval = outputs ? context.output : undefined;
+                    return true;
+                }
+                outputs = outputs && tail.output;
+                lastTail = tail;
+                proc = tail.func;
+                args = tail.args;
+                inherited = context.scope;
+                return false;
+            };
+
+            // Once a body has had to wait, carry on asynchronously
+            let continueAsync = async (entered) => {
+                while (!finish(await entered)) {
+                    entered = enter();
+                }
+                return retval;
+            };
+
+            for (;;) {
+                let entered = enter();
+                if (isPromise(entered)) {
+                    return continueAsync(entered);
+                }
+                if (finish(entered)) {
+                    return retval;
+                }
+            }
+        };
+        Object.defineProperties(func, {
+            length: {
+                value: argNames.length,
+                writable: false,
+                enumerable: false,
+                configurable: true,
+            },
+            name: {
+                value: funcName,
+                writable: false,
+                enumerable: false,
+                configurable: true,
+            },
+            argNames: {
+                value: argNames,
+            },
+            body: {
+                value: body,
+            },
+            lines: {
+                value: lines,
+            },
+            source: {
+                value: source,
+            },
+            macro: {
+                value: macro,
+            },
+        });
+        return func;
+    }
+
+    /**
+     * Serialize all user-defined procedures, global variables,
+     * and property lists.
+     *
+     * The 'logo' format is Logo source, with each procedure
+     * reconstructed as `to`...`end` text, each variable set
+     * with `make`, and each property set with `pprop`. The
+     * 'json' format is a JSON object with `procedures`,
+     * `variables` and `propertyLists` keys, lists as arrays.
+     *
+     * @param {string} [format='logo'] - 'logo' or 'json'
+     * @returns {string}
+     */
+    saveWorkspace(format='logo') {
+        let procs = procedureNames.call(this, true).map((name) => {
+            return this.procedureScope.getBinding(name).value;
+        });
+        let vars = Object.keys(this.globalScope.bindings).filter((name) => {
+            return this.globalScope.getBinding(name).value !== undefined;
+        });
+
+        if (format === 'json') {
+            let data = {
+                procedures: procs.map((func) => {
+                    let proc = {
+                        name: func.name,
+                        args: func.argNames,
+                        lines: toJSONValue(func.lines),
+                    };
+                    if (func.macro) {
+                        proc.macro = true;
+                    }
+                    return proc;
+                }),
+                variables: {},
+                propertyLists: {},
+            };
+            for (let name of vars) {
+                data.variables[name] = toJSONValue(this.globalScope.get(name));
+            }
+            for (let [name, plist] of this.propertyLists) {
+                // Flattened the same way as the plist operation
+                let pairs = [];
+                for (let [prop, val] of plist) {
+                    pairs.push(prop, toJSONValue(val));
+                }
+                data.propertyLists[name] = pairs;
+            }
+            return JSON.stringify(data, null, 2);
+        }
+
+        if (format === 'logo') {
+            let out = '';
+            for (let func of procs) {
+                out += procedureTitle(func) + '\n';
+                for (let line of func.lines) {
+                    out += '  ' + formatLine(line) + '\n';
+                }
+                out += 'end\n\n';
+            }
+            for (let name of vars) {
+                let val = this.globalScope.get(name);
+                out += 'make ' + formatValue(name) + ' ' + formatValue(val) + '\n';
+            }
+            for (let name of this.propertyLists.keys()) {
+                for (let line of plistSource.call(this, name)) {
+                    out += line + '\n';
+                }
+            }
+            return out;
+        }
+
+        throw new TypeError('Unknown workspace format ' + format);
+    }
+
+    /**
+     * Load procedures and global variables saved with
+     * `saveWorkspace`. Logo source is run at the top level,
+     * so may contain other instructions as well.
+     *
+     * @param {string} text
+     * @param {string} [format] - 'logo' or 'json'; detected if not given
+     */
+    async loadWorkspace(text, format=undefined) {
+        text = String(text);
+        if (format === undefined) {
+            format = text.match(/^\s*\{/) ? 'json' : 'logo';
+        }
+
+        if (format === 'json') {
+            let data = JSON.parse(text);
+            for (let {name, args, lines, macro} of data.procedures || []) {
+                lines = fromJSONValue(lines);
+                let body = new ListBuilder();
+                for (let line of lines) {
+                    body.concat(line);
+                }
+                let proc = this.procedure(name, args, body.list, {lines, macro: Boolean(macro)});
+                this.procedureScope.set(name, proc);
+            }
+            for (let [name, val] of Object.entries(data.variables || {})) {
+                this.globalScope.set(name, fromJSONValue(val));
+            }
+            for (let [name, pairs] of Object.entries(data.propertyLists || {})) {
+                let plist = new PropertyList();
+                for (let i = 0; i + 1 < pairs.length; i += 2) {
+                    plist.set(pairs[i], fromJSONValue(pairs[i + 1]));
+                }
+                this.propertyLists.set(name, plist);
+            }
+            return;
+        }
+
+        if (format === 'logo') {
+            let parsed = this.parse(text);
+            // Run at top level even if called from a procedure,
+            // so variables land in the global scope.
+            this.scopes.push(this.globalScope);
+            this.contexts.push(this.globalContext);
+            try {
+                let retval = await this.evaluate(parsed);
+                if (retval !== undefined) {
+                    let error = new NoUseForValueError(retval);
+                    throw this.annotateError(error, this.globalContext.valueNode);
+                }
+            } finally {
+                this.contexts.pop();
+                this.scopes.pop();
+            }
+            return;
+        }
+
+        throw new TypeError('Unknown workspace format ' + format);
+    }
+
+    /**
+     * Split a procedure body into a list of instruction lines,
+     * following the line breaks of the original source where the
+     * parser recorded them.
+     *
+     * @param {List} body
+     * @returns {List}
+     */
+    bodyLines(body) {
+        let lines = new ListBuilder();
+        let line = new ListBuilder();
+        let lineNum;
+        for (let node of body.cursors()) {
+            let map = this.sourceForNode(node);
+            if (map) {
+                let num = sourceLine(map.source, map.start);
+                if (lineNum !== undefined && num !== lineNum) {
+                    lines.push(line.list);
+                    line = new ListBuilder();
+                }
+                lineNum = num;
+            }
+            line.push(node.head);
+        }
+        if (!line.list.isEmpty()) {
+            lines.push(line.list);
+        }
+        return lines.list;
+    }
+
+    sourceForNode(listNode) {
+        return this.sourceMap.get(listNode);
+    }
+
+    /**
+     * Names of the procedures currently being run,
+     * outermost first.
+     *
+     * @returns {Array<string>}
+     */
+    callStack() {
+        return this.contexts.filter((context) => {
+            return context !== this.globalContext;
+        }).map((context) => context.procName);
+    }
+
+    /**
+     * Fill out the call stack and source position of a LogoError
+     * passing through, if not already known. Errors are annotated
+     * at the innermost point they pass, so the most specific
+     * information is kept.
+     *
+     * @param {Error} e
+     * @param {List} [node] - list node being run, for the source position
+     * @returns {Error} the same error object
+     */
+    annotateError(e, node=undefined) {
+        if (!(e instanceof LogoError)) {
+            return e;
+        }
+        if (e.logoStack === undefined) {
+            let stack = this.callStack();
+            e.logoStack = stack;
+            e.procName = stack[stack.length - 1];
+        }
+        if (e.line === undefined && node) {
+            let map = this.sourceForNode(node);
+            if (map) {
+                e.setLocation(map);
+            }
+        }
+        return e;
+    }
+
+    /**
+     * Parse source text into a List of instructions, ready to
+     * evaluate. Source positions of the list nodes are kept in
+     * sourceMap.
+     *
+     * @param {string} source
+     * @returns {List}
+     * @throws {LogoSyntaxError} for the first syntax error, with all
+     *                           of them found listed in `errors`
+     */
+    parse(source) {
+        let program = parser.parse(source);
+        if (program.errors.length) {
+            throw LogoSyntaxError.fromProgram(program);
+        }
+        return this.lower(program);
+    }
+
+    /**
+     * Turn a syntax tree from the parser into the List form
+     * the interpreter runs, recording source positions.
+     *
+     * @param {object} program - from parse() in parser.js
+     * @returns {List}
+     */
+    lower(program) {
+        let source = program.source;
+        let lowerNodes = (nodes) => {
+            let builder = new ListBuilder();
+            let record = (val, span) => {
+                builder.push(val);
+                this.sourceMap.set(builder.end, {
+                    source: source,
+                    start: span.start,
+                    end: span.end,
+                });
+            };
+            let visit = (node) => {
+                switch (node.type) {
+                    case 'list':
+                        record(lowerNodes(node.items), node.span);
+                        break;
+                    case 'array':
+                        record(LogoArray.from(lowerNodes(node.items), node.origin), node.span);
+                        break;
+                    case 'group':
+                        record('(', node.open);
+                        node.items.forEach(visit);
+                        if (node.close) {
+                            record(')', node.close);
+                        }
+                        break;
+                    case 'to':
+                        visit(node.keyword);
+                        visit(node.name);
+                        node.inputs.forEach(visit);
+                        node.body.forEach(visit);
+                        if (node.end) {
+                            visit(node.end);
+                        }
+                        break;
+                    case 'number':
+                        record(node.value, node.span);
+                        break;
+                    default:
+                        record(node.text, node.span);
+                }
+            };
+            nodes.forEach(visit);
+            return builder.list;
+        };
+        return lowerNodes(program.body);
+    }
+
+    /**
+     * Count a procedure call or loop iteration against the
+     * instruction and time limits.
+     *
+     * @throws {InstructionLimitError|TimeLimitError}
+     */
+    checkLimits() {
+        let {instructions, time} = this.limits;
+        if (instructions !== undefined && ++this.task.instructionCount > instructions) {
+            throw new InstructionLimitError(instructions);
+        }
+        if (time !== undefined && Date.now() - this.task.startTime > time) {
+            throw new TimeLimitError(time);
+        }
     }
 
-    currentContext() {
-        let contexts = this.contexts;
-        let len = contexts.length;
-        if (len > 0) {
-            return contexts[len - 1];
+    /**
+     * Give the event loop a turn if the yield budget is used up,
+     * so timers, input and painting can happen during busy code.
+     * A break requested meanwhile is thrown here.
+     *
+     * @returns {Promise|undefined} - a promise if yielding, so
+     *                                compiled code can carry on
+     *                                synchronously otherwise
+     */
+    checkYield() {
+        if (this.inspecting) {
+            return undefined;
         }
-        return undefined;
+        let {yieldTime, yieldInstructions} = this;
+        let due = false;
+        if (yieldInstructions !== undefined && ++this.yieldCount >= yieldInstructions) {
+            due = true;
+        }
+        if (yieldTime !== undefined && Date.now() - this.lastYield >= yieldTime) {
+            due = true;
+        }
+        if (!due && !this.readyTasks.length) {
+            return undefined;
+        }
+        return this.yieldTurn(due);
     }
 
-    currentScope() {
-        let scopes = this.scopes;
-        let len = scopes.length;
-        if (len > 0) {
-            return scopes[len - 1];
+    // Yield to the event loop if due, then to other tasks
+    async yieldTurn(due) {
+        if (due) {
+            await (this.onyield || timeoutYield)();
+            this.yieldCount = 0;
+            this.lastYield = Date.now();
+        }
+        if (this.readyTasks.length) {
+            await this.switchTask();
+        }
+        if (this.task.breakFlag) {
+            throw new Error('Break requested');
         }
-        return undefined;
     }
 
-    async print(str) {
-        str = String(str);
-        if (this.onprint) {
-            await this.onprint(str);
+    /**
+     * Let the next waiting task have its turn, and wait for
+     * ours to come round again.
+     */
+    switchTask() {
+        return new Promise((resolve) => {
+            this.readyTasks.push({task: this.task, resume: resolve});
+            this.nextTask();
+        });
+    }
+
+    // Hand over to the first task waiting its turn, if any
+    nextTask() {
+        let next = this.readyTasks.shift();
+        if (next) {
+            this.task = next.task;
+            next.resume();
         } else {
-            this.console.log(str);
+            this.task = this.idleTask;
         }
     }
 
     /**
-     * Create a live function object wrapping a Logo
-     * procedure definition.
+     * Run Logo code as a task of its own, taking turns with
+     * any others at each procedure call and loop iteration.
      *
-     * @param {string} funcName 
-     * @param {Iterable<string>} argNames 
-     * @param {Iterable<LogoValue>} body 
-     * @returns {function}
+     * @param {List} body - instruction list to run
+     * @returns {Promise} - resolves once done
+     * @throws {NoUseForValueError} if the body outputs a value
      */
-    procedure(funcName, argNames, body) {
-        if (!isString(funcName)) {
-            throw new TypeError('function name must be a string');
+    async runTask(body) {
+        let task = new Task(this.nextTaskId++, this.globalScope);
+        this.tasks.push(task);
+        if (this.task === this.idleTask) {
+            this.task = task;
+        } else {
+            await new Promise((resolve) => {
+                this.readyTasks.push({task, resume: resolve});
+            });
         }
-        for (let name of argNames) {
-            if (!isString(name)) {
-                throw new TypeError('function argument names must be strings');
+        task.startTime = Date.now();
+        try {
+            let retval = await this.evaluate(body);
+            if (retval !== undefined) {
+                let error = new NoUseForValueError(retval);
+                throw this.annotateError(error, task.globalContext.valueNode);
             }
-        }
-        let func = async (...args) => {
-            // Locally bind the arguments
-            let parentScope = this.currentScope();
-            let scope = new Scope(parentScope);
-            for (let [index, name] of argNames.entries()) {
-                scope.bindValue(name, args[index]);
+        } catch (e) {
+            if (task.stopped) {
+                return undefined;
             }
-            let context = new Context();
-            this.scopes.push(scope);
-            this.contexts.push(context);
-            try {
-                await this.evaluate(body);
-            } finally {
-                this.contexts.pop();
-                this.scopes.pop();
+            throw e;
+        } finally {
+            this.tasks.splice(this.tasks.indexOf(task), 1);
+            if (!this.running) {
+                // Clean up flags
+                this.paused = false;
+                this.stepMode = null;
+                this.lastLine = undefined;
             }
-            return context.output;
-        };
-        Object.defineProperties(func, {
-            length: {
-                value: argNames.length,
-                writable: false,
-                enumerable: false,
-                configurable: true,
-            },
-            name: {
-                value: funcName,
-                writable: false,
-                enumerable: false,
-                configurable: true,
-            },
-        });
-        return func;
+            this.nextTask();
+        }
     }
 
-    sourceForNode(listNode) {
-        return this.sourceMap.get(listNode);
+    /**
+     * Check a length about to be made against the list or
+     * word length limit.
+     *
+     * @param {string} kind - 'list' or 'word'
+     * @param {number} length
+     * @throws {SizeLimitError}
+     */
+    checkLength(kind, length) {
+        let limit = (kind === 'word') ? this.limits.wordLength : this.limits.listLength;
+        if (limit !== undefined && length > limit) {
+            throw new SizeLimitError(kind, limit);
+        }
     }
 
-    parse(source) {
-        let parsed = new ListBuilder();
-        let stack = [];
-        let start = 0;
-        let end = 0;
-
-        let push = () => {
-            stack.push([parsed, start]);
-            parsed = new ListBuilder();
-        };
-
-        let pop = () => {
-            let sublist = parsed.list;
-            [parsed, start] = stack.pop();
-            return sublist;
-        };
-
-        let prev = () => {
-            return source.charAt(end - 1);
-        };
-        let peek = () => {
-            return source.charAt(end);
-        };
-
-        let consume = () => {
-            end++;
-        };
-
-        let record = (val) => {
-            parsed.push(val);
-            this.sourceMap.set(parsed.end, {
-                source: source,
-                start: start,
-                end: end,
-            });
-            start = end;
-        };
-
-        let discard = () => {
-            start = end;
-        };
-
-        let parseComment = () => {
-            consume(); // skip the ";"
-            for(;;) {
-                let char = peek();
-                consume();
-                if (!char || char.match(reNewline)) {
-                    discard();
-                    return;
+    // Check a value output by a primitive against the length limits
+    checkSize(val) {
+        let limit = this.limits.listLength;
+        if (isList(val) && limit !== undefined) {
+            // Only walk as far as the limit
+            let n = 0;
+            for (let cursor = val; !cursor.isEmpty(); cursor = cursor.tail) {
+                if (++n > limit) {
+                    throw new SizeLimitError('list', limit);
                 }
             }
-        };
+        } else if (isArray(val)) {
+            this.checkLength('list', val.count());
+        } else if (isString(val)) {
+            this.checkLength('word', val.length);
+        }
+    }
 
-        let parseList = () => {
-            consume(); // skip the "["
-            push();
-            for(;;) {
-                let char = peek();
-                if (!char) {
-                    throw new SyntaxError("End of input in list");
-                }
-                if (char === ']') {
-                    consume();
-                    record(pop());
-                    return;
-                }
-                parseMain();
+    /**
+     * Stop before calls at breakpoints or during stepping,
+     * and check the break and pause flags.
+     *
+     * @param {function} func - procedure about to be called
+     * @param {List} [node] - list node of the call
+     */
+    async checkStep(func, node) {
+        if (this.inspecting) {
+            // Don't stop inside our own side evaluations
+            if (this.task.breakFlag) {
+                throw new Error('Break requested');
             }
-        };
+            return;
+        }
+        let depth = this.contexts.length;
+        let reason;
+        let breakpoint;
+        if (this.paused) {
+            reason = 'pause';
+        } else if (this.stepMode === 'into' ||
+            (this.stepMode === 'over' && depth <= this.stepDepth) ||
+            (this.stepMode === 'out' && depth < this.stepDepth)) {
+            reason = 'step';
+        }
 
-        let parseNumber = () => {
-            let last = prev();
-            let char = peek();
-            // invariant: char is '-' or a digit
-            let token = char;
-            consume();
+        let line;
+        let map = node && this.sourceForNode(node);
+        if (map && this.hasLineBreakpoint()) {
+            // Only line breakpoints need the line number
+            line = {
+                source: map.source,
+                line: sourceLine(map.source, map.start),
+                depth,
+            };
+        }
+        if (!reason && this.breakpoints.size) {
+            breakpoint = await this.matchBreakpoint(func, map, line);
+            if (breakpoint) {
+                reason = 'breakpoint';
+            }
+        }
+        this.lastLine = line;
+        this.newInstruction = false;
+
+        if (reason) {
+            this.stepMode = null;
+            this.stepDepth = depth;
+            this.paused = true;
+            this.pausedNode = node;
+            if (this.onpaused) {
+                this.onpaused(reason, node, breakpoint);
+            }
+        }
+        try {
+            await this.checkBreak();
+        } finally {
+            this.pausedNode = undefined;
+        }
+    }
 
-            // Unary minus escape
-            if (token === '-') {
-                let next = peek();
-                if (!(last === '' || last.match(reWhitespace)) || !next.match(reDigit)) {
-                    record(token);
-                    return;
-                }
+    // Whether any breakpoint stops on entering a source line
+    hasLineBreakpoint() {
+        for (let {procedure, offset} of this.breakpoints.values()) {
+            if (procedure === undefined && offset === undefined) {
+                return true;
             }
+        }
+        return false;
+    }
 
-            // integer part
-            for (;;) {
-                let char = peek();
-                if (char.match(reDigit)) {
-                    token += char;
-                    consume();
-                    continue;
-                }
-                // @fixme check about \ in numbers?
-                break;
+    // First breakpoint that applies to a call, if any
+    async matchBreakpoint(func, map, line) {
+        let last = this.lastLine;
+        let sameLine = last && line &&
+            last.source === line.source &&
+            last.line === line.line &&
+            last.depth === line.depth;
+        let newLine = line && (this.newInstruction || !sameLine);
+        for (let breakpoint of this.breakpoints.values()) {
+            let {procedure, offset, source} = breakpoint;
+            let hit;
+            if (procedure !== undefined) {
+                hit = func.name === procedure;
+            } else if (!map || (source !== undefined && source !== map.source)) {
+                hit = false;
+            } else if (offset !== undefined) {
+                hit = map.start <= offset && offset < map.end;
+            } else {
+                hit = newLine && line.line === breakpoint.line;
             }
-            // fractional part?
-            char = peek();
-            if (char === '.') {
-                consume();
-                token += char;
-
-                char = peek();
-                if (!char.match(reDigit)) {
-                    throw new SyntaxError('Expected decimals');
-                }
-                token += char;
-                consume();
-
-                for (;;) {
-                    char = peek();
-                    if (char.match(reDigit)) {
-                        token += char;
-                        consume();
-                        continue;
-                    }
-                    break;
-                }
+            if (hit && await this.checkCondition(breakpoint)) {
+                return breakpoint;
             }
-            char = peek();
-            if (char === 'e') {
-                // Exponent part
-                token += char;
-                consume();
+        }
+        return undefined;
+    }
 
-                char = peek();
-                if (char === '-' || char === '+') {
-                    token += char;
-                    consume();
-                }
-                for (;;) {
-                    char = peek();
-                    if (char.match(reDigit)) {
-                        token += char;
-                        consume();
-                        continue;
-                    }
-                    break;
-                }
+    // Evaluate a breakpoint's condition in the current scope
+    async checkCondition(breakpoint) {
+        if (breakpoint.condition === undefined) {
+            return true;
+        }
+        try {
+            let context = this.currentContext();
+            let val = await this.inspect(breakpoint.condition, this.currentScope(), context.procName);
+            breakpoint.error = undefined;
+            return val === true;
+        } catch (e) {
+            if (!(e instanceof LogoError)) {
+                throw e;
             }
+            // Stop so the problem can be seen
+            breakpoint.error = e;
+            return true;
+        }
+    }
 
-            char = peek();
-            if (!char || char.match(reDelimiters) || char.match(reWhitespace)) {
-                record(parseFloat(token));
-                return;
-            }
-        };
+    // Evaluate an expression on the side, without stopping or
+    // calling the oncall, onvalue and onskip hooks
+    async inspect(expr, scope, procName) {
+        if (!isList(expr)) {
+            expr = this.parse(String(expr));
+        }
+        let {oncall, onvalue, onskip} = this;
+        this.oncall = null;
+        this.onvalue = null;
+        this.onskip = null;
+        this.inspecting = true;
+        this.scopes.push(scope);
+        // A context of its own, so stop and output go nowhere
+        this.contexts.push(new Context(procName, [], scope));
+        try {
+            return await this.evaluate(expr);
+        } finally {
+            this.contexts.pop();
+            this.scopes.pop();
+            this.inspecting = false;
+            this.oncall = oncall;
+            this.onvalue = onvalue;
+            this.onskip = onskip;
+        }
+    }
 
-        let parseWord = () => {
-            let token = '';
-            for (;;) {
-                let char = peek();
-                if (!char || char.match(reWhitespace)) {
-                    record(token);
-                    return;
-                }
-                if (char.match(reDelimiters)) {
-                    if (token === '"') {
-                        if (char !== '[' && char !== ']') {
-                            // First quoted delimiter char doesn't have to be escaped
-                            // unless it's a bracket.
-                            token += char;
-                            consume();
-                            continue;
-                        }
-                    }
-                    record(token);
-                    return;
-                }
-                if (char.match(reWhitespace)) {
-                    record(token);
-                    return;
-                }
-                if (char === '\\') {
-                    consume();
-                    if (!char) {
-                        throw new SyntaxError('End of input at backslash');
+    /**
+     * Describe the procedures being run, outermost first,
+     * starting with the top level.
+     *
+     * Each frame gives the procedure name (undefined at top
+     * level), its input values, its own variable `bindings` as a
+     * Map of names to `Binding`s -- inputs, locals and loop
+     * variables, but not those it can only see through dynamic
+     * scope, though a tail call keeps its caller's -- the node of
+     * the call it is making, and that
+     * node's source `location` if known.
+     *
+     * @returns {object[]}
+     */
+    getStack() {
+        let {contexts, scopes} = this;
+        let position = 0;
+        return contexts.map((context, index) => {
+            // The frame's innermost scope is the last one pushed
+            // before the next frame's, such as a for loop's
+            let next = contexts[index + 1];
+            let start = Math.max(scopes.indexOf(context.scope, position), 0);
+            let end = next ? scopes.indexOf(next.scope, start + 1) : scopes.length;
+            if (end < 0) {
+                end = scopes.length;
+            }
+            position = end;
+            let scope = scopes[end - 1];
+            let bindings = new Map();
+            let outer = context.scope && context.scope.parent;
+            for (let cursor = scope; cursor && cursor !== outer; cursor = cursor.parent) {
+                // Own properties only; the prototype chain would
+                // repeat the callers' variables
+                for (let name of Object.keys(cursor.bindings)) {
+                    if (!bindings.has(name)) {
+                        // Not shadowed by an inner scope
+                        bindings.set(name, cursor.bindings[name]);
                     }
-                    char = peek();
-                    token += char;
-                    consume();
-                    continue;
                 }
-                token += char;
-                consume();
-            }
-        };
-
-        let parseMain = () => {
-            let char = peek();
-            if (!char) {
-                throw new SyntaxError('End of input');
             }
-            if (char === ';') {
-                parseComment();
-                return;
-            }
-            if (char === '[') {
-                parseList();
-                return;
-            }
-            if (char.match(reWhitespace)) {
-                consume();
-                discard();
-                return;
-            }
-            if (char.match(reNewline)) {
-                // @fixme should there be differences?
-                consume();
-                discard();
-                return;
-            }
-            if (char === '-' || char.match(reDigit)) {
-                parseNumber();
-                return;
-            }
-            if (char === '(' || char === ')') {
-                // @fixme count parens?
-                consume();
-                record(char);
-                return;
-            }
-            if (char.match(reOperators)) {
-                consume();
-                record(char);
-                return;
+            let location;
+            let map = context.node && this.sourceForNode(context.node);
+            if (map) {
+                let {line, column} = sourcePosition(map.source, map.start);
+                location = {source: map.source, start: map.start, end: map.end, line, column};
             }
-            parseWord();
-        };
+            return {
+                index,
+                procName: context.procName,
+                args: context.args.slice(),
+                bindings,
+                node: context.node,
+                location,
+                scope,
+            };
+        });
+    }
 
-        for (;;) {
-            let char = peek();
-            if (!char) {
-                // Done!
-                return parsed.list;
-            }
-            parseMain();
+    /**
+     * Evaluate a Logo expression as if it appeared in the given
+     * frame of `getStack()`, seeing its variables. Only allowed
+     * while paused, for watching variables and the like.
+     *
+     * @param {string|List} expr
+     * @param {number} [index] - frame index, innermost by default
+     * @returns {Promise<LogoValue>}
+     */
+    async evaluateInFrame(expr, index=this.contexts.length - 1) {
+        if (!this.paused) {
+            throw new Error('Cannot evaluate in a frame when not paused');
+        }
+        let frame = this.getStack()[index];
+        if (!frame) {
+            throw new RangeError('No frame ' + index);
+        }
+        return await this.inspect(expr, frame.scope, frame.procName);
+    }
+
+    /**
+     * Add a breakpoint, pausing before matching calls.
+     *
+     * Give one of `procedure` to stop on calls to a procedure
+     * by name, `line` to stop on entering a source line, or
+     * `offset` to stop on the call at a character offset in the
+     * source; `source` limits the latter two to one source text.
+     * A `condition` Logo expression, as a string or list, must
+     * output true for the breakpoint to stop.
+     *
+     * @param {object} options
+     * @param {string} [options.procedure]
+     * @param {number} [options.line] - 1-based
+     * @param {number} [options.offset] - 0-based
+     * @param {string} [options.source]
+     * @param {string|List} [options.condition]
+     * @returns {number} id for removeBreakpoint
+     */
+    setBreakpoint({procedure, line, offset, source, condition}={}) {
+        if (procedure === undefined && line === undefined && offset === undefined) {
+            throw new TypeError('Breakpoint needs a procedure, line or offset');
         }
+        let id = this.nextBreakpointId++;
+        this.breakpoints.set(id, {id, procedure, line, offset, source, condition});
+        return id;
+    }
+
+    removeBreakpoint(id) {
+        return this.breakpoints.delete(id);
+    }
+
+    clearBreakpoints() {
+        this.breakpoints.clear();
     }
 
     /**
@@ -1397,68 +4439,181 @@ export class Interpreter {
      * @param {array} args 
      */
     async performCall(func, args, body=undefined, node=undefined) {
-        await this.checkBreak();
-        if (this.oncall) {
-            await this.oncall(func, args, body, node);
+        this.currentContext().node = node;
+        this.checkLimits();
+        await this.checkYield();
+        return await this.finishCall(func, args, body, node);
+    }
+
+    // The rest of performCall(), once past the limits and yielding
+    async finishCall(func, args, body, node) {
+        await this.checkCall(func, args, body, node);
+        let retval;
+        try {
+            retval = await func.apply(this, args);
+            if (func.macro) {
+                // Run the expansion as if it were written in place
+                // of the call, in the caller's scope and context.
+                retval = await this.evaluate(macroExpansion(func, retval));
+            } else if (!isUserProcedure(func)) {
+                this.checkSize(retval);
+            }
+        } catch (e) {
+            throw this.annotateError(e, node);
         }
-        let retval = await func.apply(this, args);
         if (retval !== undefined && this.onvalue) {
             await this.onvalue(retval, body, node);
         }
         return retval;
     }
 
-    async runTemplate(template, args) {
+    // Pause or step before a call if need be, and report it to oncall
+    async checkCall(func, args, body, node) {
+        await this.checkStep(func, node);
+        if (this.oncall) {
+            await this.oncall(func, args, body, node);
+        }
+    }
+
+    /**
+     * Run a template, as given to apply, map and friends.
+     *
+     * A template may be a procedure name, an explicit-slot list
+     * such as `[[x y] :x + :y]`, procedure text such as
+     * `[[x] [print :x] [output :x * 2]]`, or a question-mark list
+     * such as `[? + 1]`, which reads its inputs with `?`, `?1`,
+     * `?rest` and its position in the data with `#`.
+     *
+     * @param {string|List} template
+     * @param {LogoValue[]} args
+     * @param {number} [index] - position within the data, for `#`
+     * @returns {Promise<LogoValue>}
+     */
+    async runTemplate(template, args, index=undefined) {
         if (isString(template)) {
             // word -> command
             let binding = this.procedureScope.getBinding(template);
             if (!binding) {
-                throw new ReferenceError('Unbound template command ' + template);
+                throw new UnknownProcedureError(template);
             }
             let func = binding.value;
             return await this.performCall(func, args);
         }
 
         if (!isList(template)) {
-            throw new TypeError('Template must be command or list');
+            throw new BadInputError('apply', template);
         }
         if (template.isEmpty()) {
             return undefined;
         }
 
+        if (isList(template.head) && !template.tail.isEmpty() && Array.from(template.tail).every(isList)) {
+            // procedure text
+            let {argNames, lines, body} = procedureText('apply', template);
+            if (args.length < argNames.length) {
+                throw new NotEnoughInputsError('template');
+            }
+            let func = this.procedure('template', argNames, body, {lines});
+            return await this.performCall(func, args.slice(0, argNames.length));
+        }
+
         let scope = new Scope(this.currentScope());
         if (isList(template.head)) {
             // arg names
             let names = template.head;
             template = template.tail;
+            if (names.count() > args.length) {
+                throw new NotEnoughInputsError('template');
+            }
             let n = 0;
-            for (let name of names) {
-                if (n > args.length) {
-                    throw new ReferenceError('Not enough arguments given to template');
+            try {
+                for (let name of names) {
+                    scope.bindValue(name, args[n]);
+                    ++n;
                 }
-                scope.bindValue(name, args[n]);
-                ++n;
+            } catch (e) {
+                scope.release();
+                throw e;
             }
         } else {
-            // no arg names
-            throw new TypeError('Template must have arguments');
-            // todo: question-mark form?
+            // question-mark form
+            let depth = this.contexts.length;
+            this.task.templateFrames.push({args, index, depth});
+            try {
+                return await this.evaluate(template);
+            } finally {
+                this.task.templateFrames.pop();
+            }
         }
-        // todo: 'procedure text form'?
 
         this.scopes.push(scope);
         try {
             return await this.evaluate(template);
         } finally {
             this.scopes.pop();
+            scope.release();
+        }
+    }
+
+    /**
+     * Run an instruction list in the current scope and context.
+     *
+     * Normally only the final expression may output a value,
+     * which is returned. If a `values` array is given, the list
+     * is instead treated as a series of expressions, and each
+     * of their values is appended to it.
+     *
+     * When running a procedure body, `tailCalls` lets a call to
+     * another user procedure in tail position -- the last
+     * instruction, or the input to a final `output` -- be left
+     * in the context's `tailCall` for the procedure to run in
+     * its own place, rather than nesting it.
+     *
+     * In compiled mode, the list is run from cached closures, and
+     * the result may come synchronously rather than as a promise.
+     *
+     * @param {List} body
+     * @param {Array} [values]
+     * @param {boolean} [tailCalls]
+     * @returns {LogoValue|undefined|Promise<LogoValue|undefined>}
+     */
+    evaluate(body, values=undefined, tailCalls=false) {
+        if (this.compiled && !this.instrumented()) {
+            return this.runCompiled(body, values, tailCalls);
         }
+        return this.interpret(body, values, tailCalls);
     }
 
-    async evaluate(body) {
+    /**
+     * Run an instruction list by walking it token by token,
+     * as for evaluate().
+     *
+     * @param {List} body
+     * @param {Array} [values]
+     * @param {boolean} [tailCalls]
+     * @returns {Promise<LogoValue|undefined>}
+     */
+    async interpret(body, values=undefined, tailCalls=false) {
         let interpreter = this;
         let scope = this.currentScope();
         let context = this.currentContext();
         let iter = body;
+        // Start of the instruction being run, for error reporting
+        let current = body;
+
+        // Attach the position of the given node to an error
+        function fail(error, node=iter) {
+            return interpreter.annotateError(error, node);
+        }
+
+        // Name to blame for a missing input value
+        function describeArg(node) {
+            let head = node.head;
+            if (head === '(' && !node.tail.isEmpty()) {
+                head = node.tail.head;
+            }
+            return List.stringify(head);
+        }
 
         function validateCommand(command, binary=false) {
             // hack for unary minus
@@ -1467,12 +4622,17 @@ export class Interpreter {
             }
 
             if (!isString(command)) {
-                throw new SyntaxError('Invalid command word: ' + command);
+                throw fail(new NoUseForValueError(command));
             }
 
             let binding = interpreter.procedureScope.getBinding(command);
             if (!binding) {
-                throw new TypeError('Unbound function: ' + command);
+                // ?1, ?2 etc. in templates are short for (? 1), (? 2)
+                let match = command.match(/^\?([0-9]+)$/);
+                if (match) {
+                    return builtins['?'].bind(interpreter, parseInt(match[1], 10));
+                }
+                throw fail(new UnknownProcedureError(command));
             }
 
             let func = binding.value;
@@ -1483,14 +4643,14 @@ export class Interpreter {
             let node = iter;
             let value = iter.head;
             iter = iter.tail;
-            if (isList(value) || isBoolean(value) || isNumber(value)) {
+            if (isList(value) || isArray(value) || isBoolean(value) || isNumber(value)) {
                 if (interpreter.onvalue) {
                     await interpreter.onvalue(value, body, node);
                 }
                 return value;
             }
             if (!isString(value)) {
-                throw new SyntaxError('Unexpected token ' + value);
+                throw fail(new NoUseForValueError(value), node);
             }
             let first = value[0];
             let rest = value.substr(1);
@@ -1503,16 +4663,27 @@ export class Interpreter {
             }
             if (first === ':') {
                 // Variable get
-                let val = scope.get(rest);
+                let val;
+                try {
+                    val = scope.get(rest);
+                } catch (e) {
+                    throw fail(e, node);
+                }
+                if (val === undefined) {
+                    // Declared with local but never set
+                    throw fail(new NoValueError(rest), node);
+                }
                 if (interpreter.onvalue) {
                     await interpreter.onvalue(val, body, node);
                 }
                 return val;
             }
-            throw new SyntaxError('Unexpected token ' + value);
+            throw fail(new NoUseForValueError(value), node);
         }
 
-        async function handleArg(prio=0) {
+        // tail is 'command' for a whole instruction, or 'output'
+        // for the input to output, where tail calls are allowed
+        async function handleArg(prio=0, tail=undefined) {
             let retval;
             if (iter.head === '(') {
                 // Variadic command
@@ -1520,7 +4691,7 @@ export class Interpreter {
             } else if (isLiteral(iter.head)) {
                 retval = await handleLiteral();
             } else {
-                retval = await handleFixed();
+                retval = await handleFixed(0, tail);
             }
             if (isOperator(iter.head)) {
                 retval = await handleOperator(retval, prio);
@@ -1539,6 +4710,9 @@ export class Interpreter {
 
             let func = validateCommand(op, true);
             iter = iter.tail;
+            if (iter.isEmpty() || iter.head === ')') {
+                throw fail(new NotEnoughInputsError(op), node);
+            }
 
             let rightValue = await handleArg(prio);
 
@@ -1570,7 +4744,7 @@ export class Interpreter {
 
             // Variadic command
             if (iter.isEmpty()) {
-                throw new SyntaxError('End of input expecting variadic command');
+                throw fail(new LogoSyntaxError('\')\' not found', 10), body);
             }
 
             let node = iter;
@@ -1586,56 +4760,72 @@ export class Interpreter {
             }
             while (!context.stop) {
                 if (iter.isEmpty()) {
-                    throw new SyntaxError('End of input expecting variadic arg');
+                    throw fail(new LogoSyntaxError('\')\' not found', 10), node);
                 }
                 if (iter.head === ')') {
                     iter = iter.tail;
                     if (func) {
                         if (args.length < func.length) {
-                            throw new SyntaxError('Not enough args to ' + command);
+                            throw fail(new NotEnoughInputsError(command), node);
                         }
                         return await interpreter.performCall(func, args, body, node);
                     } else {
                         if (args.length) {
-                            throw new SyntaxError('Got unexpected args to a literal');
+                            throw fail(new LogoSyntaxError('Too much inside ()\'s', 8), node);
                         }
                         return literal;
                     }
                 }
+                let argNode = iter;
                 let retval = await handleArg();
                 if (retval === undefined) {
-                    throw new SyntaxError('Expected output from arg to ' + command);
+                    throw fail(new DidntOutputError(describeArg(argNode), command), argNode);
                 }
                 args.push(retval);
             }
             return undefined;
         }
 
-        async function handleFixed(prio=0) {
+        async function handleFixed(prio=0, tail=undefined) {
             // Fixed-length procedure call or literal
             let node = iter;
             let command = node.head;
             if (command === ')') {
-                throw new SyntaxError('Unexpected close paren');
+                throw fail(new LogoSyntaxError('Unexpected \')\'', 12));
             }
             // Hack for unary -
             let func = validateCommand(command);
             let args = [];
             iter = iter.tail;
+            let argTail = (tail === 'command' && func === builtins.output) ? 'output' : undefined;
             while (!context.stop) {
                 if (args.length >= func.length) {
+                    let inTail = (tail === 'output') ? !isOperator(iter.head) : iter.isEmpty();
+                    if (tail && inTail && isUserProcedure(func) && !func.macro) {
+                        // Leave the call for the running procedure to make
+                        // once its own frame is gone; see procedure().
+                        context.node = node;
+                        interpreter.checkLimits();
+                        await interpreter.checkYield();
+                        await interpreter.checkCall(func, args, body, node);
+                        context.tailCall = {func, args, node, output: tail === 'output'};
+                        context.stop = true;
+                        return undefined;
+                    }
                     let retval = await interpreter.performCall(func, args, body, node);
                     return retval;
                 }
-                if (iter.isEmpty()) {
-                    throw new SyntaxError('End of input expecting fixed arg');
+                if (iter.isEmpty() || iter.head === ')') {
+                    throw fail(new NotEnoughInputsError(command), node);
                 }
-                if (iter.head === ')') {
-                    throw new SyntaxError('Unexpected close paren');
+                let argNode = iter;
+                let retval = await handleArg(prio, argTail);
+                if (retval === undefined && context.tailCall) {
+                    // The input to output became a tail call
+                    return undefined;
                 }
-                let retval = await handleArg(prio);
                 if (retval === undefined) {
-                    throw new SyntaxError('Expected output from arg to ' + func.name);
+                    throw fail(new DidntOutputError(describeArg(argNode), command), argNode);
                 }
                 args.push(retval);
             }
@@ -1644,16 +4834,17 @@ export class Interpreter {
 
         async function handleTo() {
             let node = iter;
+            let keyword = node.head;
 
-            // consume "to"
+            // consume "to" or ".macro"
             iter = iter.tail;
 
             if (iter.isEmpty()) {
-                throw new SyntaxError('End of input expecting procedure name');
+                throw fail(new NotEnoughInputsError(keyword), node);
             }
             let name = iter.head;
             if (!isString(name)) {
-                throw new SyntaxError('Procedure name must be a word');
+                throw fail(new BadInputError(keyword, name));
             }
             // consume name
             iter = iter.tail;
@@ -1663,7 +4854,7 @@ export class Interpreter {
             // Collect any :arg names
             for (;;) {
                 if (iter.isEmpty()) {
-                    throw new SyntaxError('End of input reading procedure definition');
+                    throw fail(new LogoSyntaxError('Missing end for procedure ' + name), node);
                 }
                 let arg = iter.head;
                 if (isString(arg) && arg[0] === ':') {
@@ -1676,12 +4867,14 @@ export class Interpreter {
 
             // Collect the body instructions
             let body = new ListBuilder();
+            let endNode;
             for(;;) {
                 if (iter.isEmpty()) {
-                    throw new SyntaxError('End of input reading procedure definition');
+                    throw fail(new LogoSyntaxError('Missing end for procedure ' + name), node);
                 }
                 let instruction = iter.head;
                 if (instruction === 'end') {
+                    endNode = iter;
                     // Consume 'end'
                     iter = iter.tail;
                     break;
@@ -1695,48 +4888,552 @@ export class Interpreter {
                 iter = iter.tail;
             }
 
-            let proc = interpreter.procedure(name, args, body.list);
+            // Keep the original text around for introspection
+            let source;
+            let startMap = interpreter.sourceForNode(node);
+            let endMap = interpreter.sourceForNode(endNode);
+            if (startMap && endMap) {
+                source = startMap.source.slice(startMap.start, endMap.end);
+            }
+
+            let macro = (keyword === '.macro');
+            let proc = interpreter.procedure(name, args, body.list, {source, macro});
             interpreter.procedureScope.set(name, proc);
             return;
         }
 
         let retval;
-        while (!context.stop) {
-            if (retval !== undefined) {
+        try {
+            while (!context.stop) {
+                if (retval !== undefined && values) {
+                    values.push(retval);
+                    retval = undefined;
+                }
+                if (retval !== undefined) {
+                    if (iter.isEmpty()) {
+                        context.valueNode = current;
+                        return retval;
+                    }
+                    throw fail(new NoUseForValueError(retval), current);
+                }
                 if (iter.isEmpty()) {
-                    return retval;
+                    break;
+                }
+                current = iter;
+                if (!interpreter.inspecting) {
+                    interpreter.newInstruction = true;
+                }
+                if (iter.head === 'to' || iter.head === '.macro') {
+                    await handleTo();
+                    continue;
+                }
+                retval = await handleArg(0, tailCalls ? 'command' : undefined);
+            }
+        } catch (e) {
+            throw fail(e, current);
+        }
+        return retval;
+    }
+
+    /**
+     * Whether hooks or the debugger are in use, which need to see
+     * each call and value as the tree-walking interpreter makes
+     * them. Compiled code falls back to it while they are.
+     *
+     * @returns {boolean}
+     */
+    instrumented() {
+        return Boolean(this.oncall || this.onvalue || this.paused ||
+            this.stepMode || this.breakpoints.size);
+    }
+
+    /**
+     * Compile an instruction list to closures, or get them from the
+     * cache. Cached code is dropped once any procedure is defined
+     * or erased, as that may change how the list reads.
+     *
+     * @param {List} body
+     * @param {boolean} [tailCalls] - as for evaluate()
+     * @returns {object} - {version, steps}, with {node, run} for each
+     *          instruction; run is null from the first one that has
+     *          to be left to the interpreter
+     */
+    compile(body, tailCalls=false) {
+        let version = this.procedureScope.version;
+        let cached = this.compiledCode.get(body);
+        if (!cached || cached.version !== version) {
+            cached = {version};
+            this.compiledCode.set(body, cached);
+        }
+        let key = tailCalls ? 'tail' : 'plain';
+        if (!cached[key]) {
+            cached[key] = {
+                version,
+                steps: this.compileList(body, tailCalls),
+            };
+        }
+        return cached[key];
+    }
+
+    // Compile each instruction of a list; see compile()
+    compileList(body, tailCalls) {
+        let interpreter = this;
+        let iter = body;
+
+        // Thrown for code that doesn't make sense ahead of time, as a
+        // call to a procedure not defined yet. The interpreter takes
+        // over from that instruction, and reports any error once it
+        // gets there.
+        let giveUp = new Error('Cannot compile');
+
+        // Name to blame for a missing input value
+        function describeArg(node) {
+            let head = node.head;
+            if (head === '(' && !node.tail.isEmpty()) {
+                head = node.tail.head;
+            }
+            return List.stringify(head);
+        }
+
+        function lookup(command, binary=false) {
+            // hack for unary minus
+            if (!binary && command === '-') {
+                return unaryMinus;
+            }
+            if (!isString(command)) {
+                throw giveUp;
+            }
+            let binding = interpreter.procedureScope.getBinding(command);
+            if (!binding) {
+                // ?1, ?2 etc. in templates are short for (? 1), (? 2)
+                let match = command.match(/^\?([0-9]+)$/);
+                if (match) {
+                    return builtins['?'].bind(interpreter, parseInt(match[1], 10));
+                }
+                throw giveUp;
+            }
+            return binding.value;
+        }
+
+        // Values of the inputs in turn, or a promise of them.
+        // Undefined if the procedure stopped meanwhile.
+        function evaluateInputs(inputs, scope, context) {
+            let args = [];
+            let take = (val) => {
+                let {node, command} = inputs[args.length];
+                if (command !== undefined && val === undefined) {
+                    if (context.tailCall) {
+                        // The input to output became a tail call
+                        return false;
+                    }
+                    let error = new DidntOutputError(describeArg(node), command);
+                    throw interpreter.annotateError(error, node);
+                }
+                args.push(val);
+                return !context.stop;
+            };
+            let next = () => {
+                while (args.length < inputs.length) {
+                    let val = inputs[args.length].run(scope, context);
+                    if (isPromise(val)) {
+                        return val.then((val) => take(val) ? next() : undefined);
+                    }
+                    if (!take(val)) {
+                        return undefined;
+                    }
+                }
+                return args;
+            };
+            return next();
+        }
+
+        // Call with the values of the inputs. Unless checked is false,
+        // each input must output, as operators don't require.
+        function compileCall(func, node, inputs, {checked=true, tail}={}) {
+            let command = checked ? node.head : undefined;
+            inputs = inputs.map(({node, run}) => ({node, run, command}));
+            let call = (args, context) => {
+                if (tail) {
+                    return interpreter.tailCallCompiled(func, args, body, node, context, tail === 'output');
+                }
+                return interpreter.callCompiled(func, args, body, node, context);
+            };
+            if (!inputs.length) {
+                return (scope, context) => call([], context);
+            }
+            return (scope, context) => {
+                let args = evaluateInputs(inputs, scope, context);
+                if (isPromise(args)) {
+                    return args.then((args) => args && call(args, context));
+                }
+                return args && call(args, context);
+            };
+        }
+
+        function compileLiteral() {
+            let node = iter;
+            let value = iter.head;
+            iter = iter.tail;
+            if (isList(value) || isArray(value) || isBoolean(value) || isNumber(value)) {
+                return () => value;
+            }
+            let first = value[0];
+            let rest = value.substr(1);
+            if (first === '"') {
+                // String literal
+                return () => rest;
+            }
+            // Variable get
+            return (scope) => {
+                let binding = scope.getBinding(rest);
+                if (!binding || binding.value === undefined) {
+                    // Unbound, or declared with local but never set
+                    throw interpreter.annotateError(new NoValueError(rest), node);
+                }
+                return binding.value;
+            };
+        }
+
+        function compileArg(prio=0, tail=undefined) {
+            let run;
+            if (iter.head === '(') {
+                run = compileVariadic();
+            } else if (isLiteral(iter.head)) {
+                run = compileLiteral();
+            } else {
+                run = compileFixed(0, tail);
+            }
+            if (isOperator(iter.head)) {
+                run = compileOperator(run, prio);
+            }
+            return run;
+        }
+
+        function compileOperator(left, oldprio=0) {
+            let node = iter;
+            let op = node.head;
+            let prio = precedence[op];
+            if (prio < oldprio) {
+                return left;
+            }
+            let func = lookup(op, true);
+            iter = iter.tail;
+
+            let right = compileArg(prio);
+            if (isOperator(iter.head)) {
+                let newprio = precedence[iter.head];
+                if (newprio >= prio) {
+                    right = compileOperator(right, newprio);
                 }
-                throw new SyntaxError('Extra instructions after a value-returning expression: ' + iter.head);
             }
+
+            let run = compileCall(func, node, [{node, run: left}, {node, run: right}], {checked: false});
+            if (isOperator(iter.head)) {
+                // chain operators
+                run = compileOperator(run, precedence[iter.head]);
+            }
+            return run;
+        }
+
+        function compileVariadic() {
+            // Consume the "("
+            iter = iter.tail;
             if (iter.isEmpty()) {
+                throw giveUp;
+            }
+            let node = iter;
+            let command = node.head;
+            let literal;
+            let func;
+            let inputs = [];
+            if (isProcedure(command)) {
+                func = lookup(command);
+                iter = iter.tail;
+            } else {
+                literal = compileArg();
+            }
+            for (;;) {
+                if (iter.isEmpty()) {
+                    throw giveUp;
+                }
+                if (iter.head === ')') {
+                    iter = iter.tail;
+                    break;
+                }
+                let argNode = iter;
+                inputs.push({node: argNode, run: compileArg()});
+            }
+            if (func) {
+                if (inputs.length < func.length) {
+                    throw giveUp;
+                }
+                return compileCall(func, node, inputs);
+            }
+            if (inputs.length) {
+                throw giveUp;
+            }
+            return literal;
+        }
+
+        function compileFixed(prio=0, tail=undefined) {
+            let node = iter;
+            let command = node.head;
+            if (command === ')') {
+                throw giveUp;
+            }
+            let func = lookup(command);
+            iter = iter.tail;
+            let argTail = (tail === 'command' && func === builtins.output) ? 'output' : undefined;
+            let inputs = [];
+            while (inputs.length < func.length) {
+                if (iter.isEmpty() || iter.head === ')') {
+                    throw giveUp;
+                }
+                let argNode = iter;
+                inputs.push({node: argNode, run: compileArg(prio, argTail)});
+            }
+            let inTail = (tail === 'output') ? !isOperator(iter.head) : iter.isEmpty();
+            if (tail && inTail && isUserProcedure(func) && !func.macro) {
+                return compileCall(func, node, inputs, {tail});
+            }
+            return compileCall(func, node, inputs);
+        }
+
+        let steps = [];
+        while (!iter.isEmpty()) {
+            let node = iter;
+            if (iter.head === 'to' || iter.head === '.macro') {
+                // Definitions are left to the interpreter
+                steps.push({node, run: null});
                 break;
             }
-            if (iter.head === 'to') {
-                await handleTo();
-                continue;
+            try {
+                steps.push({node, run: compileArg(0, tailCalls ? 'command' : undefined)});
+            } catch (e) {
+                if (e !== giveUp) {
+                    throw e;
+                }
+                steps.push({node, run: null});
+                break;
             }
-            retval = await handleArg();
         }
-        return retval;
+        return steps;
     }
 
-    // Parse and execute a string in the global context
-    async execute(source) {
-        if (this.running) {
-            // @todo allow pushing it onto a task list
-            throw new Error('Logo code is already running');
+    /**
+     * Run an instruction list as compiled code; see evaluate().
+     * Stays synchronous until something has to wait.
+     *
+     * @param {List} body
+     * @param {Array} [values]
+     * @param {boolean} [tailCalls]
+     * @returns {LogoValue|undefined|Promise<LogoValue|undefined>}
+     */
+    runCompiled(body, values=undefined, tailCalls=false) {
+        let code = this.compile(body, tailCalls);
+        let steps = code.steps;
+        let scope = this.currentScope();
+        let context = this.currentContext();
+        let index = 0;
+        let step;
+        let retval;
+
+        let fail = (e) => {
+            throw this.annotateError(e, step.node);
+        };
+        let next = () => {
+            while (!context.stop) {
+                if (retval !== undefined && values) {
+                    values.push(retval);
+                    retval = undefined;
+                }
+                if (retval !== undefined) {
+                    if (index >= steps.length) {
+                        context.valueNode = step.node;
+                        return retval;
+                    }
+                    fail(new NoUseForValueError(retval));
+                }
+                if (index >= steps.length) {
+                    break;
+                }
+                step = steps[index++];
+                if (!step.run) {
+                    return this.interpret(step.node, values, tailCalls);
+                }
+                if (code.version !== this.procedureScope.version) {
+                    // Procedures changed under us; the rest of the
+                    // list may read differently now.
+                    return this.evaluate(step.node, values, tailCalls);
+                }
+                try {
+                    retval = step.run(scope, context);
+                } catch (e) {
+                    fail(e);
+                }
+                if (isPromise(retval)) {
+                    return retval.then((val) => {
+                        retval = val;
+                        return next();
+                    }, fail);
+                }
+            }
+            return retval;
+        };
+        return next();
+    }
+
+    /**
+     * Call a procedure from compiled code, making the same checks
+     * as performCall(), but only going async if something has to
+     * wait. Falls back to performCall() for hooks and macros.
+     *
+     * @param {function} func
+     * @param {Array} args
+     * @param {List} body - instruction list making the call
+     * @param {List} node - list node of the call
+     * @param {Context} context - context making the call
+     * @returns {LogoValue|undefined|Promise<LogoValue|undefined>}
+     */
+    callCompiled(func, args, body, node, context) {
+        if (func.macro || this.instrumented()) {
+            return this.performCall(func, args, body, node);
+        }
+        context.node = node;
+        this.checkLimits();
+        return andThen(this.checkYield(), () => {
+            if (this.instrumented()) {
+                // Paused while yielding
+                return this.finishCall(func, args, body, node);
+            }
+            this.checkBreakNow();
+            let apply = () => {
+                this.compiledDepth++;
+                try {
+                    return func.apply(this, args);
+                } finally {
+                    this.compiledDepth--;
+                }
+            };
+            let retval;
+            try {
+                retval = (this.compiledDepth < maxCompiledDepth)
+                    ? apply()
+                    : Promise.resolve().then(apply);
+            } catch (e) {
+                throw this.annotateError(e, node);
+            }
+            let check = (retval) => {
+                if (!isUserProcedure(func)) {
+                    this.checkSize(retval);
+                }
+                return retval;
+            };
+            if (isPromise(retval)) {
+                return retval.then(check).catch((e) => {
+                    throw this.annotateError(e, node);
+                });
+            }
+            try {
+                return check(retval);
+            } catch (e) {
+                throw this.annotateError(e, node);
+            }
+        });
+    }
+
+    // Leave a tail call from compiled code for the running
+    // procedure to make; see interpret().
+    tailCallCompiled(func, args, body, node, context, output) {
+        context.node = node;
+        this.checkLimits();
+        let defer = () => {
+            context.tailCall = {func, args, node, output};
+            context.stop = true;
+            return undefined;
+        };
+        return andThen(this.checkYield(), () => {
+            if (this.instrumented()) {
+                return this.checkCall(func, args, body, node).then(defer);
+            }
+            this.checkBreakNow();
+            return defer();
+        });
+    }
+
+    // What checkStep() does when not pausing or stepping
+    checkBreakNow() {
+        if (this.task.breakFlag) {
+            throw new Error('Break requested');
+        }
+        if (!this.inspecting) {
+            this.lastLine = undefined;
         }
+    }
+
+    /**
+     * Parse and execute a string in the global context, as a task
+     * of its own. If an earlier call is still running, waits for it
+     * to finish first; tasks started with `launch` don't hold it up.
+     *
+     * @param {string} source
+     * @returns {Promise}
+     */
+    async execute(source) {
         let parsed = this.parse(source);
-        this.running = true;
+        let previous = this.lastExecute;
+        let done;
+        this.lastExecute = new Promise((resolve) => {
+            done = resolve;
+        });
         try {
-            let retval = await this.evaluate(parsed);
-            if (retval !== undefined) {
-                throw new SyntaxError('Unhandled output value ' + String(retval));
+            if (this.executeCount++) {
+                await previous;
             }
+            if (!this.running) {
+                this.yieldCount = 0;
+                this.lastYield = Date.now();
+            }
+            await this.runTask(parsed);
         } finally {
-            // Clean up flags
-            this.breakFlag = false;
-            this.running = false;
+            this.executeCount--;
+            done();
+        }
+    }
+
+    /**
+     * Start Logo code running alongside the current task,
+     * without waiting for it. Errors it throws are passed
+     * to ontaskerror, and ontaskdone is called once it's over.
+     *
+     * @param {List} body - instruction list to run
+     */
+    launch(body) {
+        this.runTask(body).catch((e) => {
+            if (this.ontaskerror) {
+                this.ontaskerror(e);
+            }
+        }).then(() => {
+            if (this.ontaskdone) {
+                this.ontaskdone();
+            }
+        });
+    }
+
+    /**
+     * Stop all running tasks, as if they had finished.
+     * Tasks waiting on an async operation stop once it's done.
+     */
+    stopAll() {
+        for (let task of this.tasks) {
+            task.breakFlag = true;
+            task.stopped = true;
+        }
+        if (this.onbreak) {
+            this.onbreak(new Error('Break requested'));
+        }
+        if (this.paused) {
+            this.continue();
         }
     }
 
@@ -1746,7 +5443,7 @@ export class Interpreter {
      */
     checkBreak() {
         return new Promise((resolve, reject) => {
-            if (this.breakFlag) {
+            if (this.task.breakFlag) {
                 throw new Error('Break requested');
             }
             if (this.paused) {
@@ -1774,14 +5471,44 @@ export class Interpreter {
     }
 
     continue() {
+        this.resume('continue', null);
+    }
+
+    /**
+     * Continue from a pause, stopping again before the next call.
+     */
+    stepInto() {
+        this.resume('step', 'into');
+    }
+
+    /**
+     * Continue from a pause, stopping again before the next call
+     * that isn't inside the call we're paused on.
+     */
+    stepOver() {
+        this.resume('step', 'over');
+    }
+
+    /**
+     * Continue from a pause, stopping again before the next call
+     * once the current procedure has returned.
+     */
+    stepOut() {
+        this.resume('step', 'out');
+    }
+
+    resume(action, stepMode) {
         if (!this.running) {
-            throw new Error('Cannot continue when not running');
+            throw new Error('Cannot ' + action + ' when not running');
         }
         if (!this.paused) {
-            throw new Error('Cannot continue when not paused');
+            throw new Error('Cannot ' + action + ' when not paused');
         }
+        this.stepMode = stepMode;
         this.paused = false;
-        this.oncontinue();
+        if (this.oncontinue) {
+            this.oncontinue();
+        }
     }
 
     /**
@@ -1792,13 +5519,15 @@ export class Interpreter {
         if (!this.running) {
             throw new Error('Cannot break when not running');
         }
-        if (this.breakFlag) {
+        if (this.tasks.every((task) => task.breakFlag)) {
             throw new Error('Already breaking');
         }
 
-        // Interpreter loop will check this flag and break
+        // Interpreter loop will check these flags and break
         // out with an internal exception.
-        this.breakFlag = true;
+        for (let task of this.tasks) {
+            task.breakFlag = true;
+        }
 
         if (this.onbreak) {
             // Async operations may set this callback
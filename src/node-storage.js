@@ -0,0 +1,42 @@
+/**
+ * Node.js filesystem storage provider for Logo workspaces.
+ * Kept separate from `storage.js` as it can't load on the web.
+ *
+ * @file node-storage.js
+ * @author Brion Vibber <brion@pobox.com>
+ * @license ISC
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Keeps saved workspaces as files in a directory. Names can't
+ * reach outside it, as with absolute paths or `..`.
+ */
+export class FileStorage {
+    /**
+     * @param {string} [dir='.'] - directory to resolve names against
+     */
+    constructor(dir='.') {
+        this.dir = dir;
+    }
+
+    async read(name) {
+        return await fs.promises.readFile(this.resolve(name), 'utf8');
+    }
+
+    async write(name, text) {
+        await fs.promises.writeFile(this.resolve(name), String(text), 'utf8');
+    }
+
+    // Path of the file for a name, if it's inside the directory
+    resolve(name) {
+        let dir = path.resolve(this.dir);
+        let file = path.resolve(dir, String(name));
+        if (path.isAbsolute(String(name)) || !file.startsWith(dir + path.sep)) {
+            throw new Error('Not in the storage directory: ' + name);
+        }
+        return file;
+    }
+}
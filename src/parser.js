@@ -0,0 +1,469 @@
+/**
+ * Parser for Logo source text.
+ * See `readme.md` for details.
+ *
+ * Produces a syntax tree with source spans, collecting every
+ * syntax error found along the way instead of stopping at the
+ * first. The interpreter lowers the tree to Lists to run it.
+ *
+ * @file parser.js
+ * @author Brion Vibber <brion@pobox.com>
+ * @license ISC
+ */
+
+const reWhitespace = /^[ \t\n\r]$/;
+const reDelimiters = /^[-+*\/\[\]{}()<>=^]$/;
+const reOperators =  /^(?:[-+*\/<>=^]|<=|>=|<>)$/;
+const reDigit = /^[0-9]$/;
+
+/**
+ * @typedef {object} Span
+ * @property {number} start - offset of the first character
+ * @property {number} end - offset just past the last character
+ * @property {number} line - 1-based line of the start
+ * @property {number} column - 1-based column of the start
+ * @property {number} endLine - 1-based line of the end
+ * @property {number} endColumn - 1-based column of the end
+ */
+
+/**
+ * Syntax tree nodes are plain objects with a `type` and a `span`:
+ *
+ * - `word`: bare word, as `print`; `value` is its text
+ * - `quoted`: quoted word, as `"foo`; `value` is the word without the quote
+ * - `variable`: variable reference, as `:foo`; `name` is the variable name
+ * - `number`: numeric literal; `value` is the number
+ * - `operator`: infix operator, as `+` or `<=`; `value` is its text
+ * - `list`: `[...]`; `items` are its nodes
+ * - `array`: `{...}`; `items` are its nodes, `origin` its first index
+ * - `group`: parenthesized `(...)`; `items`, plus `open` and `close`
+ *   spans of the parens, `close` being null if missing
+ * - `to`: procedure definition; `keyword` (`to` or `.macro`), `name`
+ *   and `end` word nodes, `inputs` variable nodes and `body` nodes
+ *
+ * Words, quoted words, variables, numbers and operators also have
+ * `text`, the token as the interpreter sees it, with any backslash
+ * escapes resolved.
+ *
+ * Inside lists, parens that don't match up are left as words, as
+ * lists may hold any data.
+ *
+ * @typedef {object} Node
+ */
+
+/**
+ * @typedef {object} Program
+ * @property {string} type - 'program'
+ * @property {Node[]} body - top-level nodes
+ * @property {Array<{text: string, span: Span}>} comments - comments,
+ *           with the leading `;`, in source order
+ * @property {Array<{message: string, span: Span}>} errors - syntax errors,
+ *           in source order
+ * @property {string} source
+ * @property {Span} span
+ */
+
+/**
+ * Parse Logo source text into a syntax tree.
+ *
+ * @param {string} source
+ * @returns {Program}
+ */
+export function parse(source) {
+    let pos = 0;
+    let errors = [];
+    let comments = [];
+
+    // Offsets where each line begins, for line and column numbers
+    let lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+        let char = source.charAt(i);
+        if (char === '\n' || (char === '\r' && source.charAt(i + 1) !== '\n')) {
+            lineStarts.push(i + 1);
+        }
+    }
+
+    let position = (offset) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            let mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return {
+            line: low + 1,
+            column: offset - lineStarts[low] + 1,
+        };
+    };
+
+    let span = (start, end) => {
+        let from = position(start);
+        let to = position(end);
+        return {
+            start,
+            end,
+            line: from.line,
+            column: from.column,
+            endLine: to.line,
+            endColumn: to.column,
+        };
+    };
+
+    let fail = (message, start, end) => {
+        errors.push({message, span: span(start, end)});
+    };
+
+    let peek = (offset=0) => {
+        return source.charAt(pos + offset);
+    };
+
+    let isBoundary = (char) => {
+        return !char || reDelimiters.test(char) || reWhitespace.test(char);
+    };
+
+    let skipSpace = () => {
+        for (;;) {
+            let char = peek();
+            if (reWhitespace.test(char)) {
+                pos++;
+                continue;
+            }
+            if (char === ';') {
+                let start = pos;
+                while (peek() && peek() !== '\n' && peek() !== '\r') {
+                    pos++;
+                }
+                comments.push({
+                    type: 'comment',
+                    text: source.slice(start, pos),
+                    span: span(start, pos),
+                });
+                continue;
+            }
+            return;
+        }
+    };
+
+    // Nodes up to the given closing bracket, or the end of input
+    let parseItems = (close) => {
+        let items = [];
+        for (;;) {
+            skipSpace();
+            let char = peek();
+            if (!char) {
+                return {items, closed: false};
+            }
+            if (char === close) {
+                pos++;
+                return {items, closed: true};
+            }
+            if (char === ']' || char === '}') {
+                fail('Unexpected ' + char, pos, pos + 1);
+                pos++;
+                continue;
+            }
+            items.push(parseItem());
+        }
+    };
+
+    let parseList = () => {
+        let start = pos;
+        pos++; // skip the "["
+        let {items, closed} = parseItems(']');
+        if (!closed) {
+            fail('Unexpected end of input in list', start, start + 1);
+        }
+        return {
+            type: 'list',
+            items: groupParens(items, false),
+            span: span(start, pos),
+        };
+    };
+
+    let parseArray = () => {
+        let start = pos;
+        pos++; // skip the "{"
+        let {items, closed} = parseItems('}');
+        let origin = 1;
+        if (!closed) {
+            fail('Unexpected end of input in array', start, start + 1);
+        } else if (peek() === '@') {
+            // Explicit origin, as in {a b c}@0
+            let at = pos;
+            pos++;
+            let digits = '';
+            if (peek() === '-') {
+                digits += '-';
+                pos++;
+            }
+            while (reDigit.test(peek())) {
+                digits += peek();
+                pos++;
+            }
+            if (!/[0-9]/.test(digits)) {
+                fail('Expected array origin', at, pos);
+            } else {
+                origin = parseInt(digits, 10);
+            }
+        }
+        return {
+            type: 'array',
+            items: groupParens(items, false),
+            origin,
+            span: span(start, pos),
+        };
+    };
+
+    let digits = () => {
+        while (reDigit.test(peek())) {
+            pos++;
+        }
+    };
+
+    let parseNumber = () => {
+        let start = pos;
+        if (peek() === '-') {
+            // Unary minus only right before a number, and
+            // not straight after a word: "a-1 is a minus 1.
+            let last = source.charAt(start - 1);
+            let next = peek(1);
+            if (!(last === '' || last === '[' || last === '{' || last === '(' || reWhitespace.test(last)) || !reDigit.test(next)) {
+                pos++;
+                return token('operator', start);
+            }
+            pos++;
+        }
+
+        // integer part
+        digits();
+        // fractional part?
+        if (peek() === '.') {
+            pos++;
+            if (!reDigit.test(peek())) {
+                fail('Expected decimals', start, pos);
+            }
+            digits();
+        }
+        // exponent part?
+        if (peek() === 'e') {
+            let sign = (peek(1) === '-' || peek(1) === '+') ? 1 : 0;
+            if (reDigit.test(peek(1 + sign))) {
+                pos += 1 + sign;
+                digits();
+            }
+        }
+
+        if (!isBoundary(peek())) {
+            // Letters after the digits make it a word
+            pos = start;
+            return parseWord();
+        }
+        let text = source.slice(start, pos);
+        return {
+            type: 'number',
+            value: parseFloat(text),
+            text: text,
+            span: span(start, pos),
+        };
+    };
+
+    let parseWord = () => {
+        let start = pos;
+        let text = '';
+        for (;;) {
+            let char = peek();
+            if (!char || reWhitespace.test(char)) {
+                break;
+            }
+            if (reDelimiters.test(char)) {
+                if (text === '"' && char !== '[' && char !== ']' && char !== '{' && char !== '}') {
+                    // First quoted delimiter char doesn't have to be escaped
+                    // unless it's a bracket or brace.
+                    text += char;
+                    pos++;
+                    continue;
+                }
+                break;
+            }
+            if (char === '\\') {
+                pos++;
+                char = peek();
+                if (!char) {
+                    fail('Unexpected end of input at backslash', pos - 1, pos);
+                    break;
+                }
+            }
+            text += char;
+            pos++;
+        }
+
+        let node = {
+            type: 'word',
+            value: text,
+            text: text,
+            span: span(start, pos),
+        };
+        // Go by the source so escaped sigils stay plain words
+        let sigil = source.charAt(start);
+        if (sigil === '"') {
+            node.type = 'quoted';
+            node.value = text.slice(1);
+        } else if (sigil === ':') {
+            node.type = 'variable';
+            delete node.value;
+            node.name = text.slice(1);
+        }
+        return node;
+    };
+
+    let token = (type, start) => {
+        let text = source.slice(start, pos);
+        return {
+            type,
+            value: text,
+            text: text,
+            span: span(start, pos),
+        };
+    };
+
+    let parseItem = () => {
+        let char = peek();
+        let start = pos;
+        if (char === '[') {
+            return parseList();
+        }
+        if (char === '{') {
+            return parseArray();
+        }
+        if (char === '-' || reDigit.test(char)) {
+            return parseNumber();
+        }
+        if (char === '(' || char === ')') {
+            // Matched up into groups by groupParens()
+            pos++;
+            return token('paren', start);
+        }
+        if (reOperators.test(char)) {
+            pos++;
+            // Two-character comparison operators
+            if (reOperators.test(char + peek())) {
+                pos++;
+            }
+            return token('operator', start);
+        }
+        return parseWord();
+    };
+
+    // Match up parens into groups. Unmatched parens are errors
+    // in code, but left as plain words in list data.
+    let groupParens = (items, strict) => {
+        let current = [];
+        let stack = [];
+        for (let item of items) {
+            if (item.type !== 'paren') {
+                current.push(item);
+            } else if (item.value === '(') {
+                stack.push({items: current, open: item});
+                current = [];
+            } else if (stack.length) {
+                let {items: parent, open} = stack.pop();
+                parent.push({
+                    type: 'group',
+                    items: current,
+                    open: open.span,
+                    close: item.span,
+                    span: span(open.span.start, item.span.end),
+                });
+                current = parent;
+            } else {
+                if (strict) {
+                    fail('Unexpected )', item.span.start, item.span.end);
+                }
+                current.push(asWord(item));
+            }
+        }
+        while (stack.length) {
+            let {items: parent, open} = stack.pop();
+            if (strict) {
+                fail('Missing )', open.span.start, open.span.end);
+                let last = current.length ? current[current.length - 1] : open;
+                parent.push({
+                    type: 'group',
+                    items: current,
+                    open: open.span,
+                    close: null,
+                    span: span(open.span.start, last.span.end),
+                });
+            } else {
+                parent.push(asWord(open), ...current);
+            }
+            current = parent;
+        }
+        return current;
+    };
+
+    let asWord = (paren) => {
+        return Object.assign({}, paren, {type: 'word'});
+    };
+
+    let isKeyword = (node, ...words) => {
+        return node && node.type === 'word' && words.includes(node.value);
+    };
+
+    // Top level: code, with procedure definitions picked out
+    let {items} = parseItems(undefined);
+    let body = [];
+    let segment = [];
+    for (let i = 0; i < items.length; i++) {
+        let keyword = items[i];
+        let name = items[i + 1];
+        if (!isKeyword(keyword, 'to', '.macro') || !name || name.type !== 'word') {
+            segment.push(keyword);
+            continue;
+        }
+        body.push(...groupParens(segment, true));
+        segment = [];
+
+        let j = i + 2;
+        let inputs = [];
+        while (j < items.length && items[j].type === 'variable') {
+            inputs.push(items[j++]);
+        }
+        let start = j;
+        while (j < items.length && !isKeyword(items[j], 'end')) {
+            j++;
+        }
+        let end = null;
+        if (j < items.length) {
+            end = items[j];
+        } else {
+            fail('Missing end for procedure ' + name.value, keyword.span.start, name.span.end);
+        }
+        let last = end || items[j - 1];
+        body.push({
+            type: 'to',
+            keyword,
+            name,
+            inputs,
+            body: groupParens(items.slice(start, j), true),
+            end,
+            span: span(keyword.span.start, last.span.end),
+        });
+        i = j;
+    }
+    body.push(...groupParens(segment, true));
+
+    errors.sort((a, b) => a.span.start - b.span.start);
+    return {
+        type: 'program',
+        body,
+        comments,
+        errors,
+        source,
+        span: span(0, source.length),
+    };
+}
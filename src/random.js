@@ -0,0 +1,51 @@
+/**
+ * Seedable pseudo-random number generator for the Logo interpreter.
+ * See `readme.md` for details.
+ *
+ * @file random.js
+ * @author Brion Vibber <brion@pobox.com>
+ * @license ISC
+ */
+
+/**
+ * Small, fast PRNG (mulberry32) with 32-bit state, so the same
+ * seed always produces the same sequence on every JS engine.
+ *
+ * Not suitable for anything security-sensitive!
+ */
+export class SeededRandom {
+    /**
+     * @param {number} seed - integer seed; only the low 32 bits are used
+     */
+    constructor(seed) {
+        this.state = 0;
+        this.seed(seed);
+    }
+
+    /**
+     * Restart the sequence from the given seed.
+     *
+     * @param {number} seed
+     */
+    seed(seed) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * @returns {number} a float in the range [0, 1)
+     */
+    next() {
+        let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} max
+     * @returns {number} an integer in the range [0, max)
+     */
+    integer(max) {
+        return Math.floor(this.next() * max);
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * Storage providers for saving and loading Logo workspaces.
+ * See `readme.md` for details.
+ *
+ * A provider is any object with async `read(name)` and
+ * `write(name, text)` methods; `read` should throw if
+ * nothing has been saved under the given name.
+ *
+ * @file storage.js
+ * @author Brion Vibber <brion@pobox.com>
+ * @license ISC
+ */
+
+/**
+ * Keeps saved workspaces in memory for the life of the object.
+ * This is the default for a new Interpreter.
+ */
+export class MemoryStorage {
+    constructor() {
+        this.files = new Map();
+    }
+
+    async read(name) {
+        if (!this.files.has(name)) {
+            throw new Error('No such file: ' + name);
+        }
+        return this.files.get(name);
+    }
+
+    async write(name, text) {
+        this.files.set(name, String(text));
+    }
+}
+
+/**
+ * Keeps saved workspaces in a web browser's `localStorage`,
+ * or another object implementing the DOM Storage interface.
+ */
+export class LocalStorage {
+    /**
+     * @param {string} [prefix='logo:'] - added to names to form storage keys
+     * @param {Storage} [storage=localStorage]
+     */
+    constructor(prefix='logo:', storage=localStorage) {
+        this.prefix = prefix;
+        this.storage = storage;
+    }
+
+    async read(name) {
+        let text = this.storage.getItem(this.prefix + name);
+        if (text === null) {
+            throw new Error('No such file: ' + name);
+        }
+        return text;
+    }
+
+    async write(name, text) {
+        this.storage.setItem(this.prefix + name, String(text));
+    }
+}
@@ -1,4 +1,32 @@
-let {List, Interpreter} = require('../index.js');
+let {
+    List,
+    LogoArray,
+    Interpreter,
+    LogoError,
+    LogoSyntaxError,
+    BadInputError,
+    NoValueError,
+    NotEnoughInputsError,
+    DidntOutputError,
+    NoUseForValueError,
+    UnknownProcedureError,
+    ThrowError,
+    LimitError,
+    InstructionLimitError,
+    TimeLimitError,
+    CallDepthError,
+    SizeLimitError,
+    BindingLimitError,
+    MemoryStorage,
+    FileStorage,
+    parse,
+    lint,
+    format,
+} = require('../index.js');
+
+let fs = require('fs');
+let os = require('os');
+let path = require('path');
 
 let assert = require('assert');
 
@@ -107,6 +135,21 @@ describe('Logo', function() {
                 List.of('outside1', List.of('inside1', 'inside2'), 'outside2'));
         });
 
+        it('should parse a negative number at the start of a list', function() {
+            logoParse("[-1 2]", List.of(List.of(-1, 2)));
+        });
+
+        it('should parse an array', function() {
+            let logo = new Interpreter();
+            let parsed = logo.parse('{a [b] 3}');
+            assert.ok(parsed.head instanceof LogoArray);
+            assert.equal(parsed.head.origin, 1);
+            assert.ok(List.equal(parsed, List.of(LogoArray.from(['a', List.of('b'), 3]))));
+        });
+        it('should parse an array with origin', function() {
+            logoParse('{a b}@0 {c}@-2', List.of(LogoArray.from(['a', 'b'], 0), LogoArray.from(['c'], -2)));
+        });
+
         it('should parse delimiters and operators', function() {
             logoParse(`ifelse 1<2[print(3+4)/5][print :x+6]`,
                 List.of('ifelse', 1, '<', 2,
@@ -119,7 +162,7 @@ describe('Logo', function() {
 
     describe('Command/argument parsing', function() {
         it('should throw given a value with no command', async function() {
-            await logoTry("32", SyntaxError);
+            await logoTry("32", NoUseForValueError);
         });
 
         it('should work given a command with no args', async function() {
@@ -138,17 +181,17 @@ describe('Logo', function() {
             });
         });
         it('should throw given too few args', async function() {
-            await logoTry("testcmd", SyntaxError, {
+            await logoTry("testcmd", NotEnoughInputsError, {
                 testcmd: async function(arg) {}
             });
         });
         it('should throw given too many args', async function() {
-            await logoTry("testcmd 1 2", SyntaxError, {
+            await logoTry("testcmd 1 2", NoUseForValueError, {
                 testcmd: async function(arg) {}
             });
         });
         it('should throw given too few args in parens', async function() {
-            await logoTry("(testcmd)", SyntaxError, {
+            await logoTry("(testcmd)", NotEnoughInputsError, {
                 testcmd: async function(arg) {}
             });
         });
@@ -185,16 +228,16 @@ describe('Logo', function() {
     });
     describe("Accessors", function() {
         it('should throw on : get of undefined variable', async function() {
-            await logoTry(`testout :n`, ReferenceError);
+            await logoTry(`testout :n`, NoValueError);
         });
         it('should throw on thing get of undefined variable', async function() {
-            await logoTry(`testout thing "n`, ReferenceError);
+            await logoTry(`testout thing "n`, NoValueError);
         });
         it('should throw on thing get of int', async function() {
-            await logoTry(`testout thing 32`, TypeError);
+            await logoTry(`testout thing 32`, BadInputError);
         });
         it('should throw on thing get of list', async function() {
-            await logoTry(`testout thing []`, TypeError);
+            await logoTry(`testout thing []`, BadInputError);
         });
         it('should work on : get of defined variable', async function() {
             await logoTest(`make "n 32 testout :n`, 32);
@@ -232,6 +275,10 @@ describe('Logo', function() {
             await logoPrint(`print 3 * 4 + 2`, '14');
         })
 
+        it('Should compare with = even without spaces', async function() {
+            await logoTest('testout list 3 = 3 2+1=4', List.of(true, false));
+        });
+
         it('binary minus', async function() {
             await logoTest(`testout 7 - 1`, 6);
         });
@@ -286,6 +333,37 @@ describe('Logo', function() {
             testout :x * y :a + :b`, 34);
         });
     });
+    describe('Numeric words', function() {
+        it('should do arithmetic on numeric words', async function() {
+            await logoTest('testout "3 + 4', 7);
+            await logoTest('testout sum "1.5 "2', 3.5);
+            await logoTest('testout product "2 "3', 6);
+            await logoTest('testout minus "5', -5);
+            await logoTest('testout "10 > 9', true);
+        });
+        it('should reject non-numeric words', async function() {
+            await logoTry('testout sum "a 1', BadInputError);
+            await logoTry('testout "a + 1', BadInputError);
+            await logoTry('testout [1] * 2', BadInputError);
+            await logoTry('testout "b < 1', BadInputError);
+        });
+        it('should report division by zero', async function() {
+            await logoTry('testout quotient 1 0', BadInputError);
+            await logoTry('testout 1 / "0', BadInputError);
+            await logoTry('testout remainder 5 0', BadInputError);
+        });
+        it('should accept numeric words in numberp, item and repeat', async function() {
+            await logoTest('testout numberp "7', true);
+            await logoTest('testout numberp "7a', false);
+            await logoTest('testout item "2 [a b c]', 'b');
+            await logoTest('make "n 0 repeat "3 [make "n :n + 1] testout :n', 3);
+            await logoTry('repeat "x [print 1]', BadInputError);
+        });
+        it('should compare numeric words numerically in memberp and remove', async function() {
+            await logoTest('testout memberp 2 [1 2.0 3]', true);
+            await logoTest('testout remove 2 [1 2.0 3]', List.of(1, 3));
+        });
+    });
     describe('print command', function() {
         it('should print string literals', async function() {
             await logoPrint(`print "a`, 'a');
@@ -304,16 +382,16 @@ describe('Logo', function() {
             await logoPrint(`print "*`, '*');
         });
         it('should fail with string literals with initial delimiter and unescaped further delims', async function() {
-            await logoTry(`print "****`, SyntaxError);
+            await logoTry(`print "****`, NotEnoughInputsError);
         });
         it('should handle quoted words with funky escaping', async function() {
             await logoPrint(`print "(hello\\)`, '(hello)');
         });
         it('should fail on quoted words with wrong funky escaping', async function() {
-            await logoTry(`print "(hello)`, SyntaxError);
+            await logoTry(`print "(hello)`, LogoSyntaxError);
         });
         it('should fail on quoted word with unescaped bracket', async function() {
-            await logoTry(`print "[`, SyntaxError);
+            await logoTry(`print "[`, LogoSyntaxError);
         });
         it('should work on quoted word with escaped bracket', async function() {
             await logoPrint(`print "\\[`, '[');
@@ -343,6 +421,38 @@ describe('Logo', function() {
             await logoTest("testout (and true true true)", true);
             await logoTest("testout (and true true false)", false);
         });
+        it('should short-circuit and/or on instruction lists', async function() {
+            await logoTest('make "l [] testout and [not emptyp :l] [(first :l) = 1]', false);
+            await logoTest('make "l [1] testout and [not emptyp :l] [(first :l) = 1]', true);
+            await logoTest('testout or [true] [first []]', true);
+            await logoTest('testout (or false [false] [2 > 1])', true);
+            await logoTest('testout (and true [true] [1 = 1])', true);
+        });
+        it('should reject non-boolean and/or inputs', async function() {
+            await logoTry('testout and true 1', BadInputError);
+            await logoTry('testout or [false] [1]', BadInputError);
+        });
+        it('should not visit skipped and/or branches', async function() {
+            let logo = new Interpreter();
+            let called = [];
+            logo.oncall = async (func) => {
+                called.push(func.name);
+            };
+            await logo.execute('if and [false] [print 1] [print 2]');
+            assert.ok(!called.includes('print'), 'expected no print call but got ' + called.join(' '));
+        });
+        it('should report skipped and/or branches', async function() {
+            let logo = new Interpreter();
+            logo.onprint = () => {};
+            let skipped = [];
+            logo.onskip = async (list, node) => {
+                let map = logo.sourceForNode(node);
+                skipped.push(map.source.slice(map.start, map.end));
+            };
+            await logo.execute('print (or [1 = 1] [first []] "true [2 = 2])');
+            await logo.execute('print and [1 = 2] [3 = 3]');
+            assert.deepEqual(skipped, ['[first []]', '[2 = 2]', '[3 = 3]']);
+        });
 
         // math
         it('should return 5 for: sum 2 3', async function() {
@@ -371,8 +481,14 @@ describe('Logo', function() {
         it('should return false for: equalp 7 23', async function() {
             await logoTest(`testout equalp 7 23`, false);
         });
-        it('should return false for: equalp 7 "7', async function() {
-            await logoTest(`testout equalp 7 "7`, false);
+        it('should return true for: equalp 7 "7', async function() {
+            await logoTest(`testout equalp 7 "7`, true);
+        });
+        it('should return true for: equalp "7.0 7', async function() {
+            await logoTest(`testout equalp "7.0 7`, true);
+        });
+        it('should compare numeric words in lists numerically', async function() {
+            await logoTest(`testout equalp [1 [2]] [1.0 [2]]`, true);
         });
         it('should return false for: equalp [7] ["7]', async function() {
             await logoTest(`testout equalp [7] ["7]`, false);
@@ -410,21 +526,21 @@ describe('Logo', function() {
             await logoTest(`testout bf [[mary john] bill]`, List.of('bill'));
         });
         it('should throw on first []', async function() {
-            await logoTry(`testout first []`, TypeError);
+            await logoTry(`testout first []`, BadInputError);
         });
         it('should throw on bf []', async function() {
-            await logoTry(`testout bf []`, TypeError);
+            await logoTry(`testout bf []`, BadInputError);
         });
 
 
         it('should error on fput "logo "time', async function() {
-            await logoTry(`testout fput "logo "time`, TypeError);
+            await logoTry(`testout fput "logo "time`, BadInputError);
         });
         it('should give list "logo "time as [logo time]', async function() {
             await logoTest(`testout list "logo "time`, List.of('logo', 'time'));
         });
         it('should error on lput "logo "time', async function() {
-            await logoTry(`testout lput "logo "time`, TypeError);
+            await logoTry(`testout lput "logo "time`, BadInputError);
         });
         it('should give se "logo "time as [logo time]', async function() {
             await logoTest(`testout se "logo "time`, List.of('logo', 'time'));
@@ -446,7 +562,73 @@ describe('Logo', function() {
             await logoTest('testout se [and more] [to come]', List.of('and', 'more', 'to', 'come'));
         });
         it('should error on word [and more] [to come]', async function() {
-            await logoTry('testout word [and more] [to come]', TypeError);
+            await logoTry('testout word [and more] [to come]', BadInputError);
+        });
+    });
+    describe("Characters and text", function() {
+        it('should count, select and split words by code point', async function() {
+            await logoTest('testout count "héllo', 5);
+            await logoTest('testout count "a😀b', 3);
+            await logoTest('testout first "😀b', '😀');
+            await logoTest('testout last "a😀', '😀');
+            await logoTest('testout butfirst "😀b', 'b');
+            await logoTest('testout item 2 "a😀b', '😀');
+        });
+        it('should select items in words from 1', async function() {
+            await logoTest('testout item 1 "abc', 'a');
+            await logoTest('testout item 3 "abc', 'c');
+            await logoTry('testout item 0 "abc', BadInputError);
+            await logoTry('testout item 4 "abc', BadInputError);
+        });
+        it('should treat numbers as words', async function() {
+            await logoTest('testout count 1234', 4);
+            await logoTest('testout first 1234', '1');
+            await logoTest('testout butfirst 1234', '234');
+        });
+        it('should change case', async function() {
+            await logoTest('testout uppercase "Hello', 'HELLO');
+            await logoTest('testout lowercase "Hello', 'hello');
+            await logoTry('testout uppercase [a]', BadInputError);
+        });
+        it('should convert characters and codes', async function() {
+            await logoTest('testout char 65', 'A');
+            await logoTest('testout char 128512', '😀');
+            await logoTest('testout ascii "A', 65);
+            await logoTest('testout rawascii "😀', 128512);
+            await logoTry('testout ascii "AB', BadInputError);
+            await logoTry('testout char -1', BadInputError);
+        });
+        it('should find members of words and lists', async function() {
+            await logoTest('testout member "c "abcdc', 'cdc');
+            await logoTest('testout member "z "abc', '');
+            await logoTest('testout member 2 [1 2 3]', List.of(2, 3));
+            await logoTest('testout member 4 [1 2 3]', List.empty);
+            await logoTest('testout memberp "b "abc', true);
+            await logoTest('testout memberp "bc "abc', false);
+        });
+        it('should compare words lexically', async function() {
+            await logoTest('testout before? "apple "banana', true);
+            await logoTest('testout beforep "banana "apple', false);
+            await logoTest('testout beforep "app "apple', true);
+            await logoTest('testout beforep "same "same', false);
+        });
+        it('should check for substrings', async function() {
+            await logoTest('testout substringp "ell "hello', true);
+            await logoTest('testout substringp "elk "hello', false);
+            await logoTest('testout substringp "a [a]', false);
+        });
+        it('should make unique words with gensym', async function() {
+            await logoTest('testout (list gensym gensym)', List.of('g1', 'g2'));
+        });
+        it('should quote and dequote words', async function() {
+            await logoTest('testout quoted "abc', '"abc');
+            await logoTest('testout dequote quoted "abc', 'abc');
+            await logoTest('testout quoted [a]', List.of('a'));
+        });
+        it('should parse words into instruction lists', async function() {
+            await logoTest('testout parse "print\\ 3\\+4', List.of('print', 3, '+', 4));
+            await logoTest('testout runresult parse "3\\*4', List.of(12));
+            await logoTest('testout runparse [print 3+4 [2*3]]', List.of('print', 3, '+', 4, List.of(2, '*', 3)));
         });
     });
     describe("Blocks and meta-execution", function() {
@@ -463,7 +645,1693 @@ describe('Logo', function() {
             await logoTest(`testout if true [3]`, 3);
         });
         it('should throw on a block with multiple operations/literals', async function() {
-            await logoTry(`testout if true [1 2 3]`, SyntaxError);
+            await logoTry(`testout if true [1 2 3]`, NoUseForValueError);
+        });
+    });
+    describe("Higher-order procedures", function() {
+        it('should apply all forms of template', async function() {
+            await logoTest('testout apply "sum [1 2]', 3);
+            await logoTest('testout apply [[a b] :a * :b] [3 4]', 12);
+            await logoTest('testout apply [? * ?2] [3 4]', 12);
+            await logoTest('testout invoke [[n] [make "m :n + 1] [output :m * 2]] 4', 10);
+        });
+        it('should read question-mark inputs', async function() {
+            await logoTest('testout map [1 2 3] [? * 2]', List.of(2, 4, 6));
+            await logoTest('testout (map [10 20] [1 2] [?1 - ?2])', List.of(9, 18));
+            await logoTest('testout apply [?rest] [a b c]', List.of('b', 'c'));
+            await logoTest('testout map [a b] [list # ?]', List.of(List.of(1, 'a'), List.of(2, 'b')));
+            await logoTest('testout map [[1 2] [3]] [map ? [? + 1]]', List.of(List.of(2, 3), List.of(4)));
+            await logoTry('testout ?', NoValueError);
+        });
+        it('should only show question-mark inputs to the template itself', async function() {
+            let source = `
+            to peek
+                output ?
+            end
+            testout map [1 2] [peek]
+            `;
+            await logoTry(source, NoValueError);
+            await logoTest(`to twice :x
+output map [1 2] [? * :x]
+end
+testout map [1 2] [twice ?]`,
+                List.of(List.of(1, 2), List.of(2, 4)));
+        });
+        it('should filter and find', async function() {
+            await logoTest('testout filter [1 3 2 4] [? > 2]', List.of(3, 4));
+            await logoTest('testout filter "education [memberp ? "aeiou]', 'euaio');
+            await logoTest('testout find [1 3 2 4] [? > 2]', 3);
+            await logoTest('testout find [1 3 2 4] [? > 9]', List.empty);
+            await logoTry('testout filter [1 2] [?]', BadInputError);
+        });
+        it('should reduce from the right', async function() {
+            await logoTest('testout reduce [1 2 3 4] "sum', 10);
+            await logoTest('testout reduce [10 5 2] [?1 - ?2]', 7);
+            await logoTest('testout reduce [a] "word', 'a');
+            await logoTry('testout reduce [] "sum', BadInputError);
+        });
+        it('should cascade', async function() {
+            await logoTest('testout cascade 5 [? * 2] 1', 32);
+            await logoTest('testout cascade [? > 100] [? * 3] 1', 243);
+            await logoTest('testout (cascade 5 [?1 + ?2] 1 [?1] 0)', 8);
+            await logoTest('testout cascade.2 5 [?1 + ?2] 1 [?1] 0', 8);
+            await logoTest('testout (cascade 3 [lput # ?] [] [word "n count ?])', 'n3');
+        });
+        it('should transfer', async function() {
+            await logoTest('testout transfer [a b c] [] [fput ?in ?out]', List.of('c', 'b', 'a'));
+            await logoTest('testout transfer [a b c] [(count ?out) = 2] [lput ?in ?out]', List.of('a', 'b'));
+        });
+        it('should crossmap', async function() {
+            await logoTest('testout crossmap [[a b] [1 2]] [word ?1 ?2]', List.of('a1', 'a2', 'b1', 'b2'));
+            await logoTest('testout (crossmap [a b] [1] [word ?1 ?2])', List.of('a1', 'b1'));
+        });
+        it('should map.se', async function() {
+            await logoTest('testout map.se [a b] [list ? ?]', List.of('a', 'a', 'b', 'b'));
+        });
+        it('should make integer sequences', async function() {
+            await logoTest('testout iseq 1 4', List.of(1, 2, 3, 4));
+            await logoTest('testout iseq 3 1', List.of(3, 2, 1));
+        });
+        it('should sort', async function() {
+            await logoTest('testout sort [3 1 10 2]', List.of(1, 2, 3, 10));
+            await logoTest('testout sort [pear apple fig]', List.of('apple', 'fig', 'pear'));
+            await logoTest('testout (sort [3 1 10 2] [?1 > ?2])', List.of(10, 3, 2, 1));
+            await logoTest('testout (sort [[b 1] [a 2] [c 1]] [(last ?1) < (last ?2)])',
+                List.of(List.of('b', 1), List.of('c', 1), List.of('a', 2)));
+            await logoTry('testout sort [[a] b]', BadInputError);
+        });
+    });
+    describe("Tail calls", function() {
+        let procs = {
+            depth: async function() {
+                return this.callStack().length;
+            },
+        };
+        it('should reuse the frame for a final command', async function() {
+            await logoTest(`
+            to loop :n
+                if :n = 0 [testout depth stop]
+                loop :n - 1
+            end
+            loop 1000`, 1, procs);
+        });
+        it('should reuse the frame for the input to output', async function() {
+            await logoTest(`
+            to walk :l :acc
+                if emptyp :l [output list :acc depth]
+                output walk butfirst :l :acc + first :l
+            end
+            testout walk iseq 1 1000 0`, List.of(500500, 1), procs);
+        });
+        it('should not reuse the frame for calls inside expressions', async function() {
+            await logoTest(`
+            to fact :n
+                if :n = 0 [output depth]
+                output :n * fact :n - 1
+            end
+            testout fact 3`, 3 * 2 * 1 * 4, procs);
+        });
+        it('should keep the caller\'s variables visible', async function() {
+            await logoPrint(`
+            to outer :x
+                local "y
+                make "y :x + 1
+                inner
+            end
+            to inner
+                print list :x :y
+            end
+            outer 1`, '1 2');
+        });
+        it('should report tail calls that don\'t output', async function() {
+            await logoTry(`
+            to quiet
+                print "hi
+            end
+            to loud
+                output quiet
+            end
+            print loud`, DidntOutputError);
+        });
+        it('should report each tail call to oncall', async function() {
+            let logo = new Interpreter();
+            let calls = 0;
+            logo.oncall = async (func) => {
+                if (func.name === 'loop') {
+                    calls++;
+                }
+            };
+            await logo.execute(`
+            to loop :n
+                if :n = 0 [stop]
+                loop :n - 1
+            end
+            loop 10`);
+            assert.equal(calls, 11);
+        });
+    });
+    describe("Debugger", function() {
+        let source = [
+            'to foo :x',
+            '  print :x',
+            '  print :x * 10',
+            'end',
+            'foo 1',
+            'foo 2',
+            'print "done',
+        ].join('\n');
+
+        // Run source, taking the given action at each pause,
+        // and list the reasons and commands paused on
+        async function logoDebug(breakpoints, actions=[]) {
+            let logo = new Interpreter();
+            logo.onprint = () => {};
+            for (let breakpoint of breakpoints) {
+                logo.setBreakpoint(breakpoint);
+            }
+            let stops = [];
+            logo.onpaused = (reason, node) => {
+                stops.push(reason + ' ' + node.head);
+                logo[actions.shift() || 'continue']();
+            };
+            await logo.execute(source);
+            return stops;
+        }
+
+        it('should stop on calls to a procedure', async function() {
+            assert.deepEqual(await logoDebug([{procedure: 'foo'}]),
+                ['breakpoint foo', 'breakpoint foo']);
+        });
+        it('should stop on entering a line', async function() {
+            assert.deepEqual(await logoDebug([{line: 3}]),
+                ['breakpoint *', 'breakpoint *']);
+        });
+        it('should stop on each instruction run on a line', async function() {
+            let logo = new Interpreter();
+            logo.onprint = () => {};
+            logo.setBreakpoint({line: 2});
+            let stops = [];
+            logo.onpaused = (reason, node) => {
+                stops.push(node.head);
+                logo.continue();
+            };
+            await logo.execute(`make "n 0\nrepeat 3 [make "n :n + 1]\nprint :n`);
+            assert.deepEqual(stops, ['repeat', '+', '+', '+']);
+        });
+        it('should stop at a source offset', async function() {
+            assert.deepEqual(await logoDebug([{offset: source.indexOf('foo 2')}]),
+                ['breakpoint foo']);
+        });
+        it('should check breakpoint conditions', async function() {
+            assert.deepEqual(await logoDebug([{line: 2, condition: ':x = 2'}]),
+                ['breakpoint print']);
+            assert.deepEqual(await logoDebug([{procedure: 'foo', condition: List.of(1, '=', 2)}]),
+                []);
+        });
+        it('should stop on condition errors', async function() {
+            assert.deepEqual(await logoDebug([{procedure: 'foo', condition: ':nope'}]),
+                ['breakpoint foo', 'breakpoint foo']);
+        });
+        it('should step into calls', async function() {
+            assert.deepEqual(await logoDebug([{offset: source.indexOf('foo 1')}], ['stepInto', 'stepInto']),
+                ['breakpoint foo', 'step print', 'step *']);
+        });
+        it('should step over calls', async function() {
+            assert.deepEqual(await logoDebug([{offset: source.indexOf('foo 1')}], ['stepOver', 'stepOver']),
+                ['breakpoint foo', 'step foo', 'step print']);
+        });
+        it('should step out of procedures', async function() {
+            assert.deepEqual(await logoDebug([{line: 2}], ['stepOut']),
+                ['breakpoint print', 'step foo', 'breakpoint print']);
+        });
+        it('should report pauses', async function() {
+            let logo = new Interpreter();
+            logo.onprint = () => {};
+            let stops = [];
+            logo.onpaused = (reason, node) => {
+                stops.push(reason + ' ' + node.head);
+                logo.continue();
+            };
+            let promise = logo.execute(source);
+            logo.pause();
+            await promise;
+            assert.deepEqual(stops, ['pause foo']);
+        });
+        it('should remove breakpoints', async function() {
+            let logo = new Interpreter();
+            let id = logo.setBreakpoint({procedure: 'foo'});
+            assert.ok(logo.removeBreakpoint(id));
+            assert.equal(logo.breakpoints.size, 0);
+            assert.throws(() => logo.setBreakpoint({}), TypeError);
+        });
+    });
+    describe("Frame inspection", function() {
+        // Run source until the breakpoint, and pass the
+        // interpreter to the callback while paused there
+        async function logoInspect(source, breakpoint, callback) {
+            let logo = new Interpreter();
+            logo.onprint = () => {};
+            logo.setBreakpoint(breakpoint);
+            let result;
+            logo.onpaused = async () => {
+                logo.clearBreakpoints();
+                try {
+                    result = await callback(logo);
+                } finally {
+                    logo.continue();
+                }
+            };
+            await logo.execute(source);
+            return result;
+        }
+
+        let source = [
+            'make "g 1',
+            'to outer :a :b',
+            '  local "c',
+            '  make "c :a + :b',
+            '  inner :c * 2',
+            '  print "after',
+            'end',
+            'to inner :d',
+            '  for [i 1 2] [print :d + :i]',
+            'end',
+            'outer 3 4',
+        ].join('\n');
+
+        it('should list frames with names, inputs and locations', async function() {
+            let stack = await logoInspect(source, {procedure: 'print'}, (logo) => logo.getStack());
+            assert.deepEqual(stack.map((frame) => frame.procName), [undefined, 'outer', 'inner']);
+            assert.deepEqual(stack[1].args, [3, 4]);
+            assert.deepEqual(stack[2].args, [14]);
+            assert.equal(stack[1].node.head, 'inner');
+            assert.equal(stack[1].location.line, 5);
+            assert.equal(stack[2].node.head, 'print');
+            assert.equal(stack[2].location.line, 9);
+            assert.equal(stack[2].location.column, 16);
+        });
+        it('should list each frame\'s own variables', async function() {
+            let vars = await logoInspect(source, {procedure: 'print'}, (logo) => {
+                // Bindings are live, so take their values while paused
+                return logo.getStack().map((frame) => {
+                    let pairs = Array.from(frame.bindings, ([name, binding]) => [name, binding.value]);
+                    return pairs.sort();
+                });
+            });
+            assert.deepEqual(vars, [[['g', 1]], [['a', 3], ['b', 4], ['c', 7]], [['d', 14], ['i', 1]]]);
+        });
+        it('should keep variables carried over by tail calls', async function() {
+            let stack = await logoInspect(`
+            to outer :a
+              inner
+            end
+            to inner
+              print :a
+            end
+            outer 1`, {procedure: 'print'}, (logo) => logo.getStack());
+            assert.deepEqual(stack.map((frame) => frame.procName), [undefined, 'inner']);
+            assert.deepEqual(Array.from(stack[1].bindings.keys()), ['a']);
+        });
+        it('should evaluate expressions in a frame', async function() {
+            let values = await logoInspect(source, {procedure: 'print'}, async (logo) => {
+                return [
+                    await logo.evaluateInFrame(':d + :i'),
+                    await logo.evaluateInFrame('list :a :b', 1),
+                    await logo.evaluateInFrame(':g * 10', 0),
+                ];
+            });
+            assert.deepEqual(values, [15, List.of(3, 4), 10]);
+        });
+        it('should only evaluate in frames while paused', async function() {
+            let logo = new Interpreter();
+            await assert.rejects(logo.evaluateInFrame('1'), Error);
+        });
+    });
+    describe("Catch and throw", function() {
+        it('should output the thrown value from catch', async function() {
+            await logoTest(`testout catch "done [(throw "done 42) testout 1]`, 42);
+        });
+        it('should skip the rest of the block on throw', async function() {
+            await logoPrint(`catch "done [print 1 throw "done print 2] print 3`, '1\n3');
+        });
+        it('should unwind procedure calls on throw', async function() {
+            let source = `
+            to inner
+                throw "out
+            end
+            to outer
+                inner
+                print "unreachable
+            end
+            catch "out [outer]
+            make "n 0
+            testout thing "n
+            `;
+            await logoTest(source, 0);
+        });
+        it('should pass through non-matching tags', async function() {
+            await logoTest(`testout catch "a [catch "b [(throw "a 7)]]`, 7);
+        });
+        it('should catch any tag with "true', async function() {
+            await logoTest(`testout catch "true [(throw "whatever "hi)]`, 'hi');
+        });
+        it('should throw uncaught tags out to JS', async function() {
+            await logoTry(`throw "nobody`, ThrowError);
+        });
+        it('should catch builtin errors with "error', async function() {
+            await logoTest(`catch "error [print first []] testout "recovered`, 'recovered');
+        });
+        it('should not catch errors with other tags', async function() {
+            await logoTry(`catch "foo [print first []]`, BadInputError);
+        });
+        it('should report the caught error with error', async function() {
+            await logoTest(`catch "error [print first []] testout error`,
+                List.of(7, "first doesn't like [] as input", List.empty,
+                    'catch "error [print first []] testout error'));
+        });
+        it('should report the procedure name with error', async function() {
+            let source = `
+            to fails
+                print :nope
+            end
+            catch "error [fails]
+            testout item 3 error
+            `;
+            await logoTest(source, 'fails');
+        });
+        it('should clear the error after reporting it', async function() {
+            await logoTest(`catch "error [print first []] make "e error testout error`, List.empty);
+        });
+        it('should raise user errors with throw "error', async function() {
+            await logoTest(`catch "error [(throw "error [my bad])] testout item 2 error`, 'my bad');
+            await logoTry(`(throw "error [my bad])`, LogoError);
+        });
+    });
+    describe("Error reporting", function() {
+        async function logoError(input, procs={}) {
+            try {
+                await logoRun(input, procs);
+            } catch (e) {
+                return e;
+            }
+            assert.ok(false, "expected an error");
+        }
+
+        it('should use Logo wording for unknown procedures', async function() {
+            let e = await logoError(`fd 100`);
+            assert.ok(e instanceof UnknownProcedureError);
+            assert.equal(e.message, "I don't know how to fd");
+        });
+        it('should use Logo wording for missing outputs', async function() {
+            let e = await logoError(`print forward 10`, {
+                forward: async function(dist) {}
+            });
+            assert.ok(e instanceof DidntOutputError);
+            assert.equal(e.message, "forward didn't output to print");
+        });
+        it('should give the line and column of the error', async function() {
+            let e = await logoError(`print "ok\nprint 1 +\n  fd 100`);
+            assert.equal(e.line, 3);
+            assert.equal(e.column, 3);
+            assert.equal(e.snippet, '  fd 100');
+            assert.equal(e.source.slice(e.start, e.end), 'fd');
+        });
+        it('should give the position of errors in builtins', async function() {
+            let e = await logoError(`make "x []\nprint first :x`);
+            assert.ok(e instanceof BadInputError);
+            assert.equal(e.line, 2);
+            assert.equal(e.column, 7);
+        });
+        it('should give the position of values nothing uses', async function() {
+            let e = await logoError(`print 1\nprint 1 2`);
+            assert.ok(e instanceof NoUseForValueError);
+            assert.equal(e.line, 2);
+            assert.equal(e.column, 9);
+        });
+        it('should blame an operator missing its right input', async function() {
+            for (let [source, op, column] of [
+                [`print 1 +`, '+', 9],
+                [`(print 1 +)`, '+', 10],
+                [`print 1 + 2 *`, '*', 13],
+            ]) {
+                let e = await logoError(source);
+                assert.ok(e instanceof NotEnoughInputsError, source);
+                assert.equal(e.message, 'Not enough inputs to ' + op);
+                assert.equal(e.column, column, source);
+            }
+        });
+        it('should give the Logo call stack', async function() {
+            let source = `
+            to inner
+                print :nope
+            end
+            to outer
+                inner
+                print "unreached
+            end
+            outer
+            `;
+            let e = await logoError(source);
+            assert.ok(e instanceof NoValueError);
+            assert.deepEqual(e.logoStack, ['outer', 'inner']);
+            assert.equal(e.procName, 'inner');
+            assert.equal(e.line, 3);
+            assert.equal(String(e), 'nope has no value in inner\n  at line 3, column 23: print :nope');
+        });
+        it('should give positions of parse errors', async function() {
+            let e = await logoError(`print 1\nprint [a b`);
+            assert.ok(e instanceof LogoSyntaxError);
+            assert.equal(e.line, 2);
+        });
+        it('should give an empty stack at top level', async function() {
+            let e = await logoError(`print first []`);
+            assert.deepEqual(e.logoStack, []);
+            assert.equal(e.procName, undefined);
+        });
+    });
+    describe("Parser", function() {
+        it('should give typed nodes', function() {
+            let program = parse(`print "foo :x 3 + [a b] (sum 1 2) {c}@0`);
+            assert.deepEqual(program.body.map((node) => node.type),
+                ['word', 'quoted', 'variable', 'number', 'operator', 'list', 'group', 'array']);
+            let [word, quoted, variable, number, operator, list, group, array] = program.body;
+            assert.equal(word.value, 'print');
+            assert.equal(quoted.value, 'foo');
+            assert.equal(variable.name, 'x');
+            assert.strictEqual(number.value, 3);
+            assert.equal(operator.value, '+');
+            assert.deepEqual(list.items.map((node) => node.value), ['a', 'b']);
+            assert.deepEqual(group.items.map((node) => node.value), ['sum', 1, 2]);
+            assert.equal(array.origin, 0);
+            assert.deepEqual(program.errors, []);
+        });
+        it('should give spans with lines and columns', function() {
+            let program = parse(`print 1\n  print [a\nb]`);
+            let list = program.body[3];
+            assert.deepEqual(list.span,
+                {start: 16, end: 21, line: 2, column: 9, endLine: 3, endColumn: 3});
+            assert.equal(list.items[1].span.line, 3);
+        });
+        it('should pick out procedure definitions', function() {
+            let program = parse(`to double :n\n  output :n * 2\nend\nprint double 4`);
+            let [definition, ...rest] = program.body;
+            assert.equal(definition.type, 'to');
+            assert.equal(definition.name.value, 'double');
+            assert.deepEqual(definition.inputs.map((node) => node.name), ['n']);
+            assert.deepEqual(definition.body.map((node) => node.type),
+                ['word', 'variable', 'operator', 'number']);
+            assert.equal(definition.end.span.line, 3);
+            assert.equal(rest.length, 3);
+        });
+        it('should keep comments', function() {
+            let program = parse(`print 1 ; one\n; two\nprint 2`);
+            assert.deepEqual(program.comments.map((comment) => comment.text), ['; one', '; two']);
+            assert.equal(program.comments[1].span.line, 2);
+            assert.equal(program.body.length, 4);
+        });
+        it('should leave unmatched parens in lists as words', function() {
+            let program = parse(`print [(]`);
+            assert.deepEqual(program.errors, []);
+            assert.equal(program.body[1].items[0].type, 'word');
+        });
+        it('should report all syntax errors at once', function() {
+            let program = parse(`print )\nprint ]\nto foo\nprint [a`);
+            assert.deepEqual(program.errors.map((error) => [error.message, error.span.line]), [
+                ['Unexpected )', 1],
+                ['Unexpected ]', 2],
+                ['Missing end for procedure foo', 3],
+                ['Unexpected end of input in list', 4],
+            ]);
+        });
+        it('should throw the first syntax error from the interpreter', function() {
+            let logo = new Interpreter();
+            try {
+                logo.parse(`print (sum 1 2\nprint ]`);
+            } catch (e) {
+                assert.ok(e instanceof LogoSyntaxError);
+                assert.equal(e.message, 'Missing )');
+                assert.equal(e.line, 1);
+                assert.equal(e.errors.length, 2);
+                assert.equal(e.errors[1].line, 2);
+                return;
+            }
+            assert.ok(false, "expected an error");
+        });
+        it('should read digits followed by letters as a word', async function() {
+            await logoTest(`testout first [3abc]`, '3abc');
+        });
+    });
+    describe("Static checks", function() {
+        function codes(source, logo=new Interpreter()) {
+            return lint(source, logo).map((warning) => warning.code);
+        }
+
+        it('should find unknown procedures and wrong input counts', function() {
+            let warnings = lint(`fd 100\nprint sum 1`, new Interpreter());
+            assert.deepEqual(warnings.map((warning) => [warning.code, warning.message, warning.span.line]), [
+                ['unknown-procedure', "I don't know how to fd", 1],
+                ['not-enough-inputs', 'Not enough inputs to sum', 2],
+            ]);
+        });
+        it('should use procedures defined in the source', function() {
+            let source = `
+            to sq :x
+                output :x * :x
+            end
+            (sq 1 2)
+            print sq 3 + sq
+            `;
+            assert.deepEqual(codes(source), ['no-use-for-value', 'too-many-inputs', 'not-enough-inputs']);
+        });
+        it('should use procedures already defined', async function() {
+            let logo = new Interpreter();
+            await logo.execute(`to greet :name\nprint :name\nend`);
+            assert.deepEqual(codes(`greet`, logo), ['not-enough-inputs']);
+            assert.deepEqual(codes(`greet "bob`, logo), []);
+        });
+        it('should find commands used as inputs', function() {
+            let source = `
+            to hi
+                print "hi
+            end
+            print hi
+            `;
+            let [warning] = lint(source, new Interpreter());
+            assert.equal(warning.code, 'didnt-output');
+            assert.equal(warning.message, "hi didn't output to print");
+        });
+        it('should know which builtins output', function() {
+            assert.deepEqual(codes(`print print 1`), ['didnt-output']);
+            assert.deepEqual(codes(`sum 1 2`), ['no-use-for-value']);
+            assert.deepEqual(codes(`print run [sum 1 2] run [print 1]`), []);
+        });
+        it('should find unused values', function() {
+            assert.deepEqual(codes(`print 1 2`), ['no-use-for-value']);
+            assert.deepEqual(codes(`print (1 2)`), ['too-much-in-parens']);
+        });
+        it('should find stop and output outside procedures', function() {
+            assert.deepEqual(codes(`output 1`), ['stop-outside-procedure']);
+            assert.deepEqual(codes(`if 1 = 1 [stop]`), ['stop-outside-procedure']);
+            assert.deepEqual(codes(`to foo\nif 1 = 1 [stop]\nend`), []);
+        });
+        it('should find variables never given a value', function() {
+            let source = `
+            to foo :n
+                print :n + :m
+            end
+            make "v 1 print :v
+            for [i 1 3] [print :i]
+            `;
+            let warnings = lint(source, new Interpreter());
+            assert.deepEqual(warnings.map((warning) => [warning.message, warning.procName]),
+                [['m is never given a value', 'foo']]);
+        });
+        it('should check instruction lists of control structures', function() {
+            assert.deepEqual(codes(`repeat 4 [fd 10]`), ['unknown-procedure']);
+            assert.deepEqual(codes(`print [fd 10]`), []);
+        });
+        it('should take what procedures the host binds say of themselves', function() {
+            let logo = new Interpreter();
+            let twice = async function(list) {};
+            twice.codeInputs = [0];
+            twice.outputs = false;
+            logo.procedureScope.set('twice', twice);
+            assert.deepEqual(codes(`twice [print]\nprint twice [print 1]`, logo),
+                ['not-enough-inputs', 'didnt-output']);
+        });
+        it('should report syntax errors', function() {
+            assert.deepEqual(codes(`to foo\nprint 1`), ['syntax']);
+        });
+        it('should check procedures from Logo', async function() {
+            let source = `
+            to foo
+                fd 10
+            end
+            define "bar [[] [print sum 1]]
+            check procedures
+            `;
+            await logoPrint(source, "I don't know how to fd in foo, line 2\n" +
+                'Not enough inputs to sum in bar, line 2');
+        });
+    });
+    describe("Formatting", function() {
+        function fmt(source, options={}) {
+            return format(source, Object.assign({interpreter: new Interpreter()}, options));
+        }
+
+        it('should indent procedure bodies', function() {
+            let source = `to sq :x\noutput :x * :x\nend\nprint sq 3`;
+            assert.equal(fmt(source), `to sq :x\n  output :x * :x\nend\nprint sq 3\n`);
+        });
+        it('should break instruction lists that span lines', function() {
+            let source = `repeat 4 [print 1\nif 1 = 1 [print 2\nprint 3]]`;
+            assert.equal(fmt(source),
+                `repeat 4 [\n  print 1\n  if 1 = 1 [\n    print 2\n    print 3\n  ]\n]\n`);
+            assert.equal(fmt(source, {brackets: 'hug'}),
+                `repeat 4 [print 1\n  if 1 = 1 [print 2\n    print 3]]\n`);
+        });
+        it('should only hug brackets around a whole instruction', function() {
+            assert.equal(fmt(`ifelse 1 = 1 [print "yes] [print "no]`, {brackets: 'hug', width: 20}),
+                `ifelse 1 = 1 [\n  print "yes\n] [print "no]\n`);
+        });
+        it('should leave short lists and data alone', function() {
+            assert.equal(fmt(`repeat 4 [print 1 print 2]`), `repeat 4 [print 1 print 2]\n`);
+            assert.equal(fmt(`make "x [a\nb] print :x`), `make "x [a b] print :x\n`);
+        });
+        it('should keep comments and blank lines', function() {
+            let source = `; squares\nto sq :x ; one input\n\noutput :x * :x\n\n\n; done\nend`;
+            assert.equal(fmt(source),
+                `; squares\nto sq :x ; one input\n  output :x * :x\n\n  ; done\nend\n`);
+        });
+        it('should wrap long lines', function() {
+            let source = `print (sum 1 2 3 4 5 6 7 8) print 9`;
+            assert.equal(fmt(source, {width: 20}),
+                `print (sum 1 2 3 4 5\n  6 7 8)\nprint 9\n`);
+            assert.equal(fmt(`repeat 2 [print 1 print 2]`, {width: 20}),
+                `repeat 2 [\n  print 1 print 2\n]\n`);
+        });
+        it('should put each instruction of a list on its own line', function() {
+            let logo = new Interpreter();
+            let code = logo.parse(`repeat 2 [print 1] print 2 print 3`);
+            assert.equal(format(code, {interpreter: logo}), `repeat 2 [print 1]\nprint 2\nprint 3\n`);
+        });
+        it('should format the text of a procedure', async function() {
+            let logo = new Interpreter();
+            await logo.execute(`to sq :x\noutput :x * :x\nend`);
+            let text = await logo.evaluate(logo.parse(`text "sq`));
+            assert.equal(format(text, {interpreter: logo, name: 'sq'}), `to sq :x\n  output :x * :x\nend\n`);
+        });
+        it('should format its own output the same way', function() {
+            let sources = [
+                [Array(8).fill('fd 10 rt 90').join(' '), {}],
+                [Array(8).fill('print "hello').join(' '), {}],
+                [`repeat 4 [forward 10 right 90 repeat 3 [forward 20 right 120]]`, {width: 40}],
+                [`repeat 4 [forward 10 right 90 repeat 3 [forward 20 right 120]]`,
+                    {width: 40, interpreter: new Interpreter()}],
+                [`to sq :x\nprint (sum 1 2 3 4 5 6 7 8) ; sum\noutput :x * :x\nend`, {width: 20, brackets: 'hug'}],
+            ];
+            for (let [source, options] of sources) {
+                let once = format(source, options);
+                assert.equal(format(once, options), once);
+                assert.ok(once.split('\n').every((line) => line.length <= (options.width || 80)), once);
+            }
+        });
+        it('should take inputs to unknown procedures up to the next word', function() {
+            assert.equal(format(`fd 10 rt 90 fd 10 rt 90`, {width: 12}), `fd 10 rt 90\nfd 10 rt 90\n`);
+        });
+        it('should know the builtins without an interpreter', function() {
+            let code = new Interpreter().parse(`repeat 4 [fd 10 rt 90] print "done`);
+            assert.equal(format(code), `repeat 4 [fd 10 rt 90]\nprint "done\n`);
+        });
+        it('should report syntax errors', function() {
+            assert.throws(() => fmt(`print [1`), LogoSyntaxError);
+        });
+    });
+    describe("Execution limits", function() {
+        async function limitError(input, limits) {
+            let logo = new Interpreter({limits});
+            logo.onprint = (str) => {};
+            try {
+                await logo.execute(input);
+            } catch (e) {
+                return e;
+            }
+            assert.ok(false, "expected an error");
+        }
+
+        it('should stop after too many instructions', async function() {
+            let e = await limitError(`forever [make "x 1]`, {instructions: 100});
+            assert.ok(e instanceof InstructionLimitError);
+            assert.equal(e.limit, 100);
+        });
+        it('should count loop iterations as instructions', async function() {
+            let e = await limitError(`repeat 1000 []`, {instructions: 100});
+            assert.ok(e instanceof InstructionLimitError);
+        });
+        it('should reset the instruction count on each execute', async function() {
+            let logo = new Interpreter({limits: {instructions: 100}});
+            await logo.execute(`repeat 40 [make "x 1]`);
+            await logo.execute(`repeat 40 [make "x 1]`);
+        });
+        it('should stop after running out of time', async function() {
+            let e = await limitError(`forever []`, {time: 20});
+            assert.ok(e instanceof TimeLimitError);
+        });
+        it('should stop deep recursion', async function() {
+            let source = `
+            to down :n
+                if :n = 0 [output 0]
+                output 1 + down :n - 1
+            end
+            print down 1000
+            `;
+            let e = await limitError(source, {depth: 50});
+            assert.ok(e instanceof CallDepthError);
+            assert.equal(e.code, 2);
+        });
+        it('should not limit the depth of tail calls', async function() {
+            let logo = new Interpreter({limits: {depth: 50}});
+            let output = [];
+            logo.onprint = (str) => output.push(str);
+            await logo.execute(`
+            to loop :n
+                if :n = 0 [print "done stop]
+                loop :n - 1
+            end
+            loop 1000
+            `);
+            assert.deepEqual(output, ['done']);
+        });
+        it('should stop long lists', async function() {
+            let e = await limitError(`make "x iseq 1 1000`, {listLength: 100});
+            assert.ok(e instanceof SizeLimitError);
+            assert.equal(e.kind, 'list');
+            e = await limitError(`make "x array 1000`, {listLength: 100});
+            assert.ok(e instanceof SizeLimitError);
+            e = await limitError(`make "x [] repeat 200 [make "x lput 1 :x]`, {listLength: 100});
+            assert.ok(e instanceof SizeLimitError);
+        });
+        it('should stop long words', async function() {
+            let e = await limitError(`make "x "a repeat 10 [make "x word :x :x]`, {wordLength: 100});
+            assert.ok(e instanceof SizeLimitError);
+            assert.equal(e.kind, 'word');
+        });
+        it('should check sizes before building values', async function() {
+            let e = await limitError(`make "x iseq 1 1e9`, {listLength: 100});
+            assert.ok(e instanceof SizeLimitError);
+            e = await limitError(`make "x array 1e9`, {listLength: 100});
+            assert.ok(e instanceof SizeLimitError);
+            e = await limitError(`make "x iseq 1 60 make "y se :x :x`, {listLength: 100});
+            assert.ok(e instanceof SizeLimitError);
+            e = await limitError(`make "x iseq 1 100 make "y (crossmap :x :x :x [?1])`, {listLength: 1000});
+            assert.ok(e instanceof SizeLimitError);
+            e = await limitError(`make "x iseq 1 60 make "y map.se :x [:x]`, {listLength: 1000});
+            assert.ok(e instanceof SizeLimitError);
+        });
+        it('should let Logo code catch size errors', async function() {
+            let logo = new Interpreter({limits: {listLength: 10}});
+            let output = [];
+            logo.onprint = (str) => output.push(str);
+            await logo.execute(`catch "error [make "x iseq 1 20] print "recovered`);
+            assert.deepEqual(output, ['recovered']);
+        });
+        it('should stop making too many variables', async function() {
+            let e = await limitError(`
+                make "n 0
+                forever [make "n :n + 1 make word "v :n 1]`, {bindings: 50});
+            assert.ok(e instanceof BindingLimitError);
+        });
+        it('should release local variables when procedures return', async function() {
+            let logo = new Interpreter({limits: {bindings: 20}});
+            await logo.execute(`
+            to fill :a :b
+                local "c
+                make "c :a + :b
+            end
+            repeat 100 [fill 1 2]
+            `);
+        });
+    });
+    describe("Yielding", function() {
+        it('should yield every so many instructions', async function() {
+            let yields = 0;
+            let logo = new Interpreter({
+                yieldInstructions: 10,
+                onyield: async function() {
+                    yields++;
+                },
+            });
+            await logo.execute(`repeat 100 []`);
+            assert.equal(yields, 10);
+        });
+        it('should not yield without a budget', async function() {
+            let yields = 0;
+            let logo = new Interpreter({
+                onyield: async function() {
+                    yields++;
+                },
+            });
+            await logo.execute(`repeat 100 [make "x 1]`);
+            assert.equal(yields, 0);
+        });
+        it('should let timers run during a busy loop', async function() {
+            let logo = new Interpreter({yieldTime: 1});
+            let ticked = false;
+            setTimeout(() => {
+                ticked = true;
+            }, 0);
+            logo.procedureScope.bindValues({
+                ticked: async function() {
+                    return ticked;
+                },
+            });
+            await logo.execute(`until [ticked] []`);
+            assert.ok(ticked);
+        });
+        it('should break out of a busy loop', async function() {
+            let logo = new Interpreter({yieldTime: 1});
+            setTimeout(() => logo.break(), 10);
+            await assert.rejects(logo.execute(`forever []`), /Break requested/);
+            assert.equal(logo.running, false);
+        });
+    });
+    describe("Tasks", function() {
+        function makeLogo(output) {
+            let logo = new Interpreter();
+            logo.onprint = (str) => output.push(str);
+            return logo;
+        }
+
+        it('should queue execute calls while running', async function() {
+            let output = [];
+            let logo = makeLogo(output);
+            let first = logo.execute(`repeat 3 [print "a]`);
+            let second = logo.execute(`print "b`);
+            await Promise.all([first, second]);
+            assert.deepEqual(output, ['a', 'a', 'a', 'b']);
+        });
+        it('should run later execute calls after an error', async function() {
+            let output = [];
+            let logo = makeLogo(output);
+            let first = logo.execute(`print first []`);
+            let second = logo.execute(`print "b`);
+            await assert.rejects(first, BadInputError);
+            await second;
+            assert.deepEqual(output, ['b']);
+        });
+        it('should take turns with launched tasks', async function() {
+            let output = [];
+            let logo = makeLogo(output);
+            await logo.execute(`launch [repeat 3 [print "a]] repeat 6 [print "b]`);
+            assert.deepEqual(output.filter((str) => str === 'a'), ['a', 'a', 'a']);
+            assert.notEqual(output.indexOf('a'), 3);
+            assert.ok(output.indexOf('a') < output.lastIndexOf('b'));
+        });
+        it('should give launched tasks their own stacks', async function() {
+            let output = [];
+            let logo = makeLogo(output);
+            await logo.execute(`
+            to count :name
+                repeat 3 [print (word :name repcount)]
+            end
+            launch [count "a]
+            count "b
+            repeat 10 []
+            `);
+            assert.deepEqual(output.filter((str) => str[0] === 'a'), ['a1', 'a2', 'a3']);
+            assert.deepEqual(output.filter((str) => str[0] === 'b'), ['b1', 'b2', 'b3']);
+        });
+        it('should let execute run while launched tasks continue', async function() {
+            let output = [];
+            let logo = makeLogo(output);
+            await logo.execute(`make "n 0 launch [forever [make "n :n + 1]]`);
+            assert.ok(logo.running);
+            await logo.execute(`repeat 10 [] print :n > 0`);
+            assert.deepEqual(output, ['true']);
+            await logo.execute(`stopall`);
+        });
+        it('should stop all tasks with stopall', async function() {
+            let output = [];
+            let logo = makeLogo(output);
+            await logo.execute(`launch [forever [make "x 1]] repeat 5 [make "y 1] stopall print "unreached`);
+            assert.deepEqual(output, []);
+            await logo.execute(`print "again`);
+            assert.deepEqual(output, ['again']);
+            assert.equal(logo.running, false);
+        });
+        it('should report errors in launched tasks', async function() {
+            let errors = [];
+            let logo = new Interpreter();
+            logo.ontaskerror = (e) => errors.push(e);
+            await logo.execute(`launch [print first []] repeat 5 []`);
+            assert.equal(errors.length, 1);
+            assert.ok(errors[0] instanceof BadInputError);
+        });
+        it('should report launched tasks that are done', async function() {
+            let done = [];
+            let logo = new Interpreter();
+            logo.onprint = () => {};
+            logo.ontaskerror = () => {};
+            logo.ontaskdone = () => done.push(logo.running);
+            await logo.execute(`launch [print "ok] launch [print first []] repeat 5 []`);
+            await new Promise((resolve) => setTimeout(resolve, 0));
+            assert.equal(done.length, 2);
+            assert.equal(logo.running, false);
+        });
+        it('should break all tasks', async function() {
+            let errors = [];
+            let logo = new Interpreter({yieldTime: 1});
+            logo.onprint = () => {};
+            logo.ontaskerror = (e) => errors.push(e);
+            setTimeout(() => logo.break(), 10);
+            await assert.rejects(logo.execute(`launch [forever []] forever []`), /Break requested/);
+            await logo.execute(`print "ok`);
+            assert.equal(errors.length, 1);
+            assert.equal(logo.running, false);
+        });
+    });
+    describe("Input", function() {
+        // Interpreter reading from the given lines of text
+        function makeLogo(lines, output) {
+            let logo = new Interpreter();
+            logo.onprint = (str) => output.push(str);
+            let text = lines.join('\n');
+            logo.oninput = async (kind, count) => {
+                if (kind === 'ready') {
+                    return text.length > 0;
+                }
+                if (!text.length) {
+                    return null;
+                }
+                let end = (kind === 'line') ? text.indexOf('\n') : count;
+                if (end === -1) {
+                    end = text.length;
+                }
+                let read = text.slice(0, end);
+                text = text.slice((kind === 'line') ? end + 1 : end);
+                return read;
+            };
+            return logo;
+        }
+
+        it('should read words and lists', async function() {
+            let output = [];
+            let logo = makeLogo(['Alice', 'say [hello there] 42'], output);
+            await logo.execute(`print word "Hi,\\  readword show readlist`);
+            assert.deepEqual(output, ['Hi, Alice', '[say [hello there] 42]']);
+        });
+        it('should read any line as a list', async function() {
+            let lines = ['I am happy :)', 'see you (later', 'to be or not', 'x [y', 'a ; b ]', 'unary -1 2'];
+            let output = [];
+            let logo = makeLogo(lines, output);
+            await logo.execute(`repeat ${lines.length} [show readlist]`);
+            assert.deepEqual(output, ['[I am happy :)]', '[see you (later]', '[to be or not]',
+                '[x [y]]', '[a ; b ]]', '[unary -1 2]']);
+            logo = makeLogo(['1 [2 3]'], output);
+            await logo.execute(`print sum 1 first readlist`);
+            assert.equal(output[output.length - 1], '2');
+        });
+        it('should read characters', async function() {
+            let output = [];
+            let logo = makeLogo(['abcd'], output);
+            await logo.execute(`print keyp print readchar print readchars 3 print keyp`);
+            assert.deepEqual(output, ['true', 'a', 'bcd', 'false']);
+        });
+        it('should see the end of input without a hook', async function() {
+            let output = [];
+            let logo = new Interpreter();
+            logo.onprint = (str) => output.push(str);
+            await logo.execute(`show readword show readlist show readchar print keyp`);
+            assert.deepEqual(output, ['[]', '', '[]', 'false']);
+        });
+        it('should stop reading on break', async function() {
+            let logo = new Interpreter();
+            let aborted = false;
+            logo.oninput = (kind, count, signal) => new Promise(() => {
+                signal.addEventListener('abort', () => {
+                    aborted = true;
+                });
+            });
+            let run = logo.execute(`print readword`);
+            setTimeout(() => logo.break(), 10);
+            await assert.rejects(run, /Break requested/);
+            assert.ok(aborted);
+        });
+    });
+    describe("Compiled mode", function() {
+        async function run(source, options={}) {
+            let output = [];
+            let logo = new Interpreter(Object.assign({compiled: true}, options));
+            logo.onprint = (str) => output.push(str);
+            await logo.execute(source);
+            return output;
+        }
+
+        it('should run code as the interpreter does', async function() {
+            let source = `
+            to fib :n
+                if :n < 2 [output :n]
+                output (fib :n - 1) + fib :n - 2
+            end
+            to countdown :n
+                if :n = 0 [stop]
+                countdown :n - 1
+            end
+            for [i 1 3] [print fib :i * 5]
+            countdown 5000
+            print runresult [(word "a "b "c)]
+            `;
+            assert.deepEqual(await run(source), ['5', '55', '610', 'abc']);
+        });
+        it('should recurse as deeply as the interpreter', async function() {
+            let source = `
+            to down :n
+                if :n = 0 [output 0]
+                output 1 + down :n - 1
+            end
+            to walk :n
+                if :n > 0 [walk :n - 1]
+            end
+            print down 2000
+            walk 5000
+            print catch "error [down 1000]
+            `;
+            let expected = await run(source, {compiled: false});
+            assert.deepEqual(expected, ['2000', '1000']);
+            assert.deepEqual(await run(source), expected);
+        });
+        it('should run synchronously without async procedures', async function() {
+            let logo = new Interpreter({compiled: true});
+            assert.equal(logo.evaluate(logo.parse(`make "x 0 repeat 10 [make "x :x + repcount] :x`)), 55);
+            assert.ok(logo.evaluate(logo.parse(`wait 0`)) instanceof Promise);
+        });
+        it('should cache code until procedures change', async function() {
+            let logo = new Interpreter({compiled: true});
+            let output = [];
+            logo.onprint = (str) => output.push(str);
+            await logo.execute(`to foo :x\noutput :x\nend`);
+            let code = logo.parse(`print foo 1 2`);
+            let compiled = logo.compile(code);
+            assert.strictEqual(logo.compile(code), compiled);
+            assert.equal(await logo.evaluate(code), 2);
+            await logo.execute(`to foo :x :y\noutput :x + :y\nend`);
+            assert.notStrictEqual(logo.compile(code), compiled);
+            assert.equal(await logo.evaluate(code), undefined);
+            assert.deepEqual(output, ['1', '3']);
+        });
+        it('should read the rest of a list again after a redefinition', async function() {
+            let source = `
+            define "foo [[] [output 1]]
+            run [print foo define "foo [[x] [output :x * 2]] print foo 5]
+            `;
+            assert.deepEqual(await run(source), ['1', '10']);
+        });
+        it('should report errors where they happen', async function() {
+            let logo = new Interpreter({compiled: true});
+            logo.onprint = () => {};
+            try {
+                await logo.execute(`print 1\nprint first []`);
+                assert.ok(false, 'expected an error');
+            } catch (e) {
+                assert.ok(e instanceof BadInputError);
+                assert.equal(e.line, 2);
+            }
+        });
+        it('should let the hooks see every call', async function() {
+            let logo = new Interpreter({compiled: true});
+            let calls = [];
+            logo.oncall = async (func) => {
+                calls.push(func.name);
+            };
+            await logo.execute(`repeat 2 [make "x 1 + 2]`);
+            assert.deepEqual(calls, ['repeat', '+', 'make', '+', 'make']);
+        });
+        it('should break out of a busy loop', async function() {
+            let logo = new Interpreter({compiled: true, yieldTime: 5});
+            setTimeout(() => logo.break(), 20);
+            await assert.rejects(logo.execute(`forever [make "x 1]`), /Break requested/);
+        });
+    });
+    describe("Macros", function() {
+        let unless = `
+            .macro unless :cond :block
+              output (list "if "not :cond :block)
+            end
+        `;
+        it('should run macro expansions in place', async function() {
+            await logoPrint(unless + 'unless 1 = 2 [print "yes] unless 1 = 1 [print "no]', 'yes');
+        });
+        it('should output and stop from expansions in the caller', async function() {
+            await logoTest(`
+            .macro return :val
+              output (list "output :val)
+            end
+            to f
+              return 5
+              print [not reached]
+            end
+            testout f`, 5);
+        });
+        it('should see the caller\'s local variables', async function() {
+            await logoPrint(`
+            .macro my.while :cond :block
+              if not run :cond [output []]
+              output (se :block "my.while (list :cond :block))
+            end
+            to count.up :n
+              local "i
+              make "i 1
+              my.while [:i <= :n] [print :i make "i :i + 1]
+            end
+            count.up 3`, '1\n2\n3');
+        });
+        it('should output the value of an expression expansion', async function() {
+            await logoTest('.defmacro "seven [[] [output [3 + 4]]] testout seven', 7);
+        });
+        it('should check for macros', async function() {
+            await logoTest(unless + 'testout (list macrop "unless macrop "print macrop "nothing)', List.of(true, false, false));
+        });
+        it('should expand without running', async function() {
+            await logoTest(unless + 'testout macroexpand [unless 1 = 2 [print "hi]]',
+                List.of('if', 'not', false, List.of('print', '"hi')));
+        });
+        it('should list macros with .macro', async function() {
+            await logoTest('.defmacro "foo [[x] [output :x]] testout first text "foo', List.of('x'));
+            await logoPrint('.defmacro "foo [[x] [output :x]] po "foo', '.macro foo :x\noutput :x\nend');
+        });
+        it('should error when a macro does not output a list', async function() {
+            await logoTry('.defmacro "bad [[] [output 1]] bad', LogoError);
+        });
+    });
+    describe("Workspace management", function() {
+        it('should define procedures from lists', async function() {
+            await logoTest(`define "double [[n] [output :n * 2]] testout double 21`, 42);
+        });
+        it('should give back the text of a defined procedure', async function() {
+            await logoTest(`define "foo [[a b] [print :a] [print :b]] testout text "foo`,
+                List.of(List.of('a', 'b'), List.of('print', ':a'), List.of('print', ':b')));
+        });
+        it('should split the text of a to procedure by source lines', async function() {
+            let source = `
+            to foo :n
+                print :n
+                print :n + 1
+            end
+            testout text "foo
+            `;
+            await logoTest(source, List.of(List.of('n'),
+                List.of('print', ':n'),
+                List.of('print', ':n', '+', 1)));
+        });
+        it('should give the original source as fulltext', async function() {
+            let source = `to foo :n\n  print :n\nend\ntestout fulltext "foo`;
+            await logoTest(source, List.of('to foo :n', '  print :n', 'end'));
+        });
+        it('should regenerate fulltext for defined procedures', async function() {
+            await logoTest(`define "foo [[n] [print [a :n]]] testout fulltext "foo`,
+                List.of('to foo :n', 'print [a :n]', 'end'));
+        });
+        it('should list procedures and primitives', async function() {
+            await logoTest(`to foo\nend\ndefine "bar [[]] testout procedures`, List.of('foo', 'bar'));
+            await logoTest(`testout memberp "print primitives`, true);
+        });
+        it('should tell procedures and primitives apart', async function() {
+            let source = `
+            to foo
+            end
+            testout (list procedurep "foo procedurep "print procedurep "nope
+                primitivep "foo primitivep "print
+                definedp "foo definedp "print)
+            `;
+            await logoTest(source, List.of(true, true, false, false, true, true, false));
+        });
+        it('should erase procedures', async function() {
+            await logoTry(`to foo\nend\nerase "foo foo`, UnknownProcedureError);
+        });
+        it('should erase variables', async function() {
+            await logoTry(`make "x 1 erase [[] [x]] print :x`, NoValueError);
+        });
+        it('should refuse to erase primitives', async function() {
+            await logoTry(`erase "print`, LogoError);
+        });
+        it('should erase everything with erall', async function() {
+            await logoTest(`to foo\nend\nmake "x 1 erall testout list procedures procedurep "x`,
+                List.of(List.empty, false));
+        });
+        it('should print out procedures and variables with po', async function() {
+            await logoPrint(`define "foo [[n] [print :n]] make "x [a b] make "y "c po [[foo] [x y]]`,
+                'to foo :n\nprint :n\nend\nmake "x [a b]\nmake "y "c');
+        });
+        it('should print titles with pot and pots', async function() {
+            await logoPrint(`define "foo [[a b] []] define "bar [[] []] pot "foo pots`,
+                'to foo :a :b\nto foo :a :b\nto bar');
+        });
+        it('should copy definitions with copydef', async function() {
+            await logoTest(`define "foo [[n] [output :n + 1]] copydef "bar "foo erase "foo testout bar 1`, 2);
+            await logoPrint(`copydef "say "print say "hi`, 'hi');
+        });
+    });
+    describe("Arrays", function() {
+        it('should create arrays of empty lists', async function() {
+            await logoTest(`testout array 3`, LogoArray.from([List.empty, List.empty, List.empty]));
+            await logoTest(`testout (array 2 0)`, LogoArray.from([List.empty, List.empty], 0));
+        });
+        it('should get and set items by index', async function() {
+            await logoTest(`make "a array 3 setitem 2 :a "x testout item 2 :a`, 'x');
+            await logoTest(`make "a {a b c}@0 setitem 0 :a "x testout :a`, LogoArray.from(['x', 'b', 'c'], 0));
+        });
+        it('should modify arrays in place', async function() {
+            let source = `
+            to fill :arr
+                setitem 1 :arr "filled
+            end
+            make "a array 1
+            fill :a
+            testout item 1 :a
+            `;
+            await logoTest(source, 'filled');
+        });
+        it('should reject out of range indexes', async function() {
+            await logoTry(`testout item 4 {a b c}`, BadInputError);
+            await logoTry(`testout item 0 {a b c}`, BadInputError);
+            await logoTry(`setitem 3 {a b}@0 "x`, BadInputError);
+        });
+        it('should reject circular arrays', async function() {
+            await logoTry(`make "a array 1 setitem 1 :a :a`, BadInputError);
+        });
+        it('should handle multi-dimensional arrays', async function() {
+            let source = `
+            make "grid mdarray [2 3]
+            mdsetitem [2 3] :grid "x
+            testout list mditem [2 3] :grid count item 1 :grid
+            `;
+            await logoTest(source, List.of('x', 3));
+            await logoTest(`make "g (mdarray [2 2] 0) mdsetitem [0 1] :g 5 testout :g`,
+                LogoArray.from([LogoArray.from([List.empty, 5], 0), LogoArray.from([List.empty, List.empty], 0)], 0));
+        });
+        it('should convert between arrays and lists', async function() {
+            await logoTest(`testout arraytolist {a b c}`, List.of('a', 'b', 'c'));
+            await logoTest(`testout listtoarray [a b c]`, LogoArray.from(['a', 'b', 'c']));
+            await logoTest(`testout (listtoarray [a b] 0)`, LogoArray.from(['a', 'b'], 0));
+        });
+        it('should tell arrays apart', async function() {
+            await logoTest(`testout (list arrayp {} arrayp [] listp {})`, List.of(true, false, false));
+        });
+        it('should count arrays', async function() {
+            await logoTest(`testout (list count {a b c} emptyp {} emptyp {a})`, List.of(3, true, false));
+        });
+        it('should compare arrays', async function() {
+            await logoTest(`testout (list equalp {a [b]} {a [b]} equalp {a} {b} equalp {a} {a}@0)`,
+                List.of(true, false, false));
+        });
+        it('should show arrays with braces', async function() {
+            await logoPrint(`show {a [b c] {d}}@0`, '{a [b c] {d}}@0');
+            await logoPrint(`print {a b}`, '{a b}');
+        });
+        it('should save arrays with the workspace', async function() {
+            for (let format of ['logo', 'json']) {
+                let logo = new Interpreter();
+                await logo.execute(`make "a {1 [2] {3}@0}@0`);
+                let other = new Interpreter();
+                await other.loadWorkspace(logo.saveWorkspace(format), format);
+                assert.ok(List.equal(other.globalScope.get('a'),
+                    LogoArray.from([1, List.of(2), LogoArray.from([3], 0)], 0)));
+            }
+        });
+    });
+    describe("Property lists", function() {
+        it('should get back a property that was put', async function() {
+            await logoTest(`pprop "bob "phone "555\\-1234 testout gprop "bob "phone`, '555-1234');
+        });
+        it('should give the empty list for missing properties', async function() {
+            await logoTest(`testout gprop "bob "phone`, List.empty);
+            await logoTest(`pprop "bob "age 42 testout gprop "bob "phone`, List.empty);
+        });
+        it('should replace existing properties', async function() {
+            await logoTest(`pprop "bob "age 42 pprop "bob "age 43 testout plist "bob`, List.of('age', 43));
+        });
+        it('should list all properties with plist', async function() {
+            await logoTest(`pprop "room "name [dark cave] pprop "room "exits [north] testout plist "room`,
+                List.of('name', List.of('dark', 'cave'), 'exits', List.of('north')));
+        });
+        it('should show a plist', async function() {
+            await logoPrint(`pprop "room "name [dark cave] pprop "room "lit "false show plist "room`,
+                '[name [dark cave] lit false]');
+        });
+        it('should remove properties with remprop', async function() {
+            await logoTest(`pprop "bob "age 42 pprop "bob "eyes "blue remprop "bob "age testout plist "bob`,
+                List.of('eyes', 'blue'));
+        });
+        it('should match property names as equalp does', async function() {
+            await logoPrint(`pprop "p 1 "x show gprop "p "1`, 'x');
+            await logoTest(`pprop "p 1 "x pprop "p "1.0 "y testout plist "p`, List.of(1, 'y'));
+            await logoTest(`pprop "p 1 "x pprop "p "1.0 "y remprop "p "1 testout plist "p`, List.empty);
+        });
+        it('should print all plists with pprops', async function() {
+            await logoPrint(`pprop "bob "age 42 pprop "sue "pets [cat dog] pprops`,
+                'pprop "bob "age 42\npprop "sue "pets [cat dog]');
+        });
+        it('should erase all plists with erpls', async function() {
+            await logoTest(`pprop "bob "age 42 erpls testout plist "bob`, List.empty);
+        });
+        it('should erase plists with erase and erall', async function() {
+            await logoTest(`pprop "bob "age 42 erase [[] [] [bob]] testout plist "bob`, List.empty);
+            await logoTest(`pprop "bob "age 42 erall testout plist "bob`, List.empty);
+        });
+        it('should print plists with po', async function() {
+            await logoPrint(`pprop "bob "age 42 po [[] [] [bob]]`, 'pprop "bob "age 42');
+        });
+        it('should save and load plists with the workspace', async function() {
+            for (let format of ['logo', 'json']) {
+                let logo = new Interpreter();
+                await logo.execute(`pprop "bob "age 42 pprop "bob "name [Bob Smith]`);
+                let other = new Interpreter();
+                await other.loadWorkspace(logo.saveWorkspace(format), format);
+                let plist = other.propertyLists.get('bob');
+                assert.strictEqual(plist.get('age'), 42);
+                assert.ok(List.equal(plist.get('name'), List.of('Bob', 'Smith')));
+            }
+        });
+    });
+    describe("Saving and loading", function() {
+        async function roundTrip(format) {
+            let logo = new Interpreter();
+            await logo.execute(`
+            to greet :who
+                print se "hello :who
+                print [spaced\\ word [nested -1]]
+            end
+            make "num -3.5
+            make "word "San\\ Francisco
+            make "list [a [b c] -2 d\\[e]
+            make "digits "123
+            `);
+            let text = logo.saveWorkspace(format);
+
+            let other = new Interpreter();
+            let prints = [];
+            other.onprint = (str) => {
+                prints.push(str);
+            };
+            await other.loadWorkspace(text, format);
+            await other.execute(`greet "world`);
+            assert.deepEqual(prints, ['hello world', 'spaced word nested -1']);
+            assert.strictEqual(other.globalScope.get('num'), -3.5);
+            assert.strictEqual(other.globalScope.get('word'), 'San Francisco');
+            assert.ok(List.equal(other.globalScope.get('list'),
+                List.of('a', List.of('b', 'c'), -2, 'd[e')));
+            assert.strictEqual(other.globalScope.get('digits'), '123');
+            return text;
+        }
+
+        it('should round-trip the workspace as Logo source', async function() {
+            let text = await roundTrip('logo');
+            assert.ok(text.startsWith('to greet :who\n  print se "hello :who\n'));
+            assert.ok(text.includes('make "word "San\\ Francisco\n'));
+        });
+        it('should round-trip the workspace as JSON', async function() {
+            let text = await roundTrip('json');
+            let data = JSON.parse(text);
+            assert.deepEqual(data.procedures[0].args, ['who']);
+            assert.deepEqual(data.variables.list, ['a', ['b', 'c'], -2, 'd[e']);
+        });
+        it('should detect JSON when loading', async function() {
+            let logo = new Interpreter();
+            await logo.loadWorkspace('{"variables": {"x": [1, 2]}}');
+            assert.ok(List.equal(logo.globalScope.get('x'), List.of(1, 2)));
+        });
+        it('should save and load with Logo commands', async function() {
+            let logo = new Interpreter();
+            await logo.execute(`make "x 42 define "foo [[] [output :x]] save "ws erall`);
+            assert.ok(logo.storage.files.has('ws'));
+            let retval;
+            logo.procedureScope.bindValue('testout', async function(arg) {
+                retval = arg;
+            });
+            await logo.execute(`load "ws testout foo`);
+            assert.strictEqual(retval, 42);
+        });
+        it('should load variables into the global scope from a procedure', async function() {
+            let source = `
+            make "x 1
+            save "ws
+            to reload :x
+                make "x 2
+                load "ws
+                testout :x
+            end
+            reload 3
+            `;
+            await logoTest(source, 2);
+        });
+        it('should raise a Logo error loading a missing file', async function() {
+            await logoTry(`load "nope`, LogoError);
+            await logoTest(`catch "error [load "nope] testout first error`, 18);
+        });
+        it('should use JSON for .json file names', async function() {
+            let logo = new Interpreter();
+            logo.storage = new MemoryStorage();
+            await logo.execute(`make "x 1 save "ws.json`);
+            assert.deepEqual(JSON.parse(logo.storage.files.get('ws.json')).variables, {x: 1});
+        });
+        it('should save to files with FileStorage', async function() {
+            let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logo-'));
+            try {
+                let logo = new Interpreter();
+                logo.storage = new FileStorage(dir);
+                await logo.execute(`make "x [a b] save "ws.logo`);
+                assert.equal(fs.readFileSync(path.join(dir, 'ws.logo'), 'utf8'), 'make "x [a b]\n');
+                let other = new Interpreter();
+                other.storage = new FileStorage(dir);
+                await other.execute(`load "ws.logo`);
+                assert.ok(List.equal(other.globalScope.get('x'), List.of('a', 'b')));
+            } finally {
+                fs.unlinkSync(path.join(dir, 'ws.logo'));
+                fs.rmdirSync(dir);
+            }
+        });
+        it('should keep FileStorage names inside its directory', async function() {
+            let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logo-'));
+            try {
+                let logo = new Interpreter();
+                logo.storage = new FileStorage(path.join(dir, 'files'));
+                fs.mkdirSync(path.join(dir, 'files'));
+                for (let name of ['..\\/escaped.txt', 'a\\/..\\/..\\/escaped.txt', '\\/tmp\\/escaped.txt', '..']) {
+                    await assert.rejects(logo.execute(`save "${name}`), LogoError);
+                }
+                await assert.rejects(logo.execute(`load "\\/etc\\/hostname`), LogoError);
+                assert.ok(!fs.existsSync(path.join(dir, 'escaped.txt')));
+            } finally {
+                fs.rmdirSync(path.join(dir, 'files'));
+                fs.rmdirSync(dir);
+            }
+        });
+    });
+    describe("Math library", function() {
+        async function near(input, expected) {
+            let retval = await logoRun(input);
+            assert.ok(Math.abs(retval - expected) < 1e-9, "expected " + expected + " but got " + retval);
+        }
+
+        it('should parse two-character comparison operators', function() {
+            logoParse('1<=2 3>=4 5<>6 7^2', List.of(1, '<=', 2, 3, '>=', 4, 5, '<>', 6, 7, '^', 2));
+        });
+        it('should compare with <=, >= and <>', async function() {
+            await logoTest('testout (list 1 <= 2 2 <= 2 3 <= 2)', List.of(true, true, false));
+            await logoTest('testout (list 1 >= 2 2 >= 2 3 >= 2)', List.of(false, true, true));
+            await logoTest('testout (list 1 <> 2 2 <> 2 [a] <> [a])', List.of(true, false, false));
+        });
+        it('should raise to powers with ^ before multiplying', async function() {
+            await logoTest('testout 2 * 3 ^ 2', 18);
+            await logoTest('testout 2 ^ 10 + 1', 1025);
+            await logoTest('testout power 2 0.5', Math.SQRT2);
+        });
+        it('should take roots, exponents and logs', async function() {
+            await logoTest('testout sqrt 16', 4);
+            await logoTest('testout exp 0', 1);
+            await logoTest('testout ln 1', 0);
+            await logoTest('testout log10 1000', 3);
+            await logoTry('testout sqrt -1', BadInputError);
+            await logoTry('testout ln 0', BadInputError);
+            await logoTry('testout power -8 0.5', BadInputError);
+        });
+        it('should do trigonometry in degrees', async function() {
+            await near('testout sin 30', 0.5);
+            await near('testout cos 60', 0.5);
+            await near('testout tan 45', 1);
+            await near('testout arctan 1', 45);
+            await near('testout (arctan -1 0)', 180);
+            await near('testout (arctan 0 -1)', -90);
+        });
+        it('should do trigonometry in radians', async function() {
+            await near('testout radsin pi / 2', 1);
+            await near('testout radcos pi', -1);
+            await near('testout radtan 0', 0);
+            await near('testout radarctan 1', Math.PI / 4);
+            await near('testout (radarctan 0 1)', Math.PI / 2);
+        });
+        it('should round and truncate', async function() {
+            await logoTest('testout (list int 3.7 int -3.7 round 2.5 round -2.5 round 2.4)', List.of(3, -3, 3, -3, 2));
+        });
+        it('should negate and take absolute values', async function() {
+            await logoTest('testout (list minus 3 abs -3 abs 3)', List.of(-3, 3, 3));
+        });
+        it('should give remainder the sign of the dividend', async function() {
+            await logoTest('testout (list remainder 7 3 remainder -7 3 remainder 7 -3)', List.of(1, -1, 1));
+        });
+        it('should give modulo the sign of the divisor', async function() {
+            await logoTest('testout (list modulo 7 3 modulo -7 3 modulo 7 -3)', List.of(1, 2, -2));
+        });
+        it('should do bitwise operations', async function() {
+            await logoTest('testout (list bitand 12 10 bitor 12 10 bitxor 12 10 (bitand 7 6 4))', List.of(8, 14, 6, 4));
+            await logoTest('testout (list ashift 1 4 ashift -16 -2)', List.of(16, -4));
+            await logoTry('testout bitand 1.5 1', BadInputError);
+        });
+        it('should reject non-numbers', async function() {
+            await logoTry('testout sqrt "four', BadInputError);
+            await logoTry('testout sin []', BadInputError);
+        });
+    });
+    describe("Random numbers", function() {
+        async function seeded(seed, input) {
+            let logo = new Interpreter({seed});
+            let retval;
+            logo.procedureScope.bindValue('testout', async function(arg) {
+                retval = arg;
+            });
+            await logo.execute(input);
+            return retval;
+        }
+        let sequence = `
+            make "l []
+            repeat 20 [make "l lput random 1000 :l]
+            testout :l
+        `;
+
+        it('should give the same sequence for the same seed', async function() {
+            let a = await seeded(42, sequence);
+            let b = await seeded(42, sequence);
+            assert.ok(List.equal(a, b));
+        });
+        it('should give different sequences for different seeds', async function() {
+            let a = await seeded(1, sequence);
+            let b = await seeded(2, sequence);
+            assert.ok(!List.equal(a, b));
+        });
+        it('should restart the sequence with rerandom', async function() {
+            let retval = await seeded(7, `make "a random 1000000 rerandom testout list :a random 1000000`);
+            assert.equal(retval.head, retval.tail.head);
+            retval = await seeded(undefined, `(rerandom 3) make "a random 1000000 (rerandom 3) testout list :a random 1000000`);
+            assert.equal(retval.head, retval.tail.head);
+        });
+        it('should give numbers in range', async function() {
+            let retval = await seeded(3, `
+                make "l []
+                repeat 200 [make "l lput random 5 :l]
+                repeat 200 [make "l lput (random -2 2) :l]
+                testout :l
+            `);
+            let values = Array.from(retval);
+            assert.ok(values.slice(0, 200).every((n) => n >= 0 && n < 5 && n === Math.floor(n)));
+            assert.ok(values.slice(200).every((n) => n >= -2 && n <= 2 && n === Math.floor(n)));
+            assert.ok(values.includes(4) && values.includes(-2));
+        });
+        it('should reject bad ranges', async function() {
+            await logoTry(`print random 0`, BadInputError);
+            await logoTry(`print random 1.5`, BadInputError);
+            await logoTry(`print (random 5 1)`, BadInputError);
+        });
+        it('should pick an item from a list or word', async function() {
+            let retval = await seeded(5, `testout list pick [a b c] pick "xyz`);
+            assert.ok(['a', 'b', 'c'].includes(retval.head));
+            assert.ok(['x', 'y', 'z'].includes(retval.tail.head));
+            await logoTry(`print pick []`, BadInputError);
+        });
+        it('should shuffle a list', async function() {
+            let retval = await seeded(9, `testout shuffle [1 2 3 4 5 6 7 8]`);
+            assert.deepEqual(Array.from(retval).sort(), [1, 2, 3, 4, 5, 6, 7, 8]);
+            let again = await seeded(9, `testout shuffle [1 2 3 4 5 6 7 8]`);
+            assert.ok(List.equal(retval, again));
+        });
+    });
+    describe("Control structures", function() {
+        it('should run ifelse branches', async function() {
+            await logoTest(`testout ifelse 1 < 2 ["yes] ["no]`, 'yes');
+            await logoTest(`testout ifelse 1 > 2 ["yes] ["no]`, 'no');
+        });
+        it('should count with repcount', async function() {
+            await logoPrint(`repeat 3 [print repcount]`, '1\n2\n3');
+            await logoTest(`testout repcount`, -1);
+        });
+        it('should count nested repeats separately', async function() {
+            await logoPrint(`repeat 2 [repeat 2 [print repcount] print repcount]`, '1\n2\n1\n1\n2\n2');
+        });
+        it('should count forever loops', async function() {
+            let source = `
+            to loop
+                forever [if repcount = 3 [output repcount]]
+            end
+            testout loop
+            `;
+            await logoTest(source, 3);
+        });
+        it('should loop with for', async function() {
+            await logoPrint(`for [i 1 3] [print :i]`, '1\n2\n3');
+            await logoPrint(`for [i 1 10 4] [print :i]`, '1\n5\n9');
+            await logoPrint(`for [i 3 1] [print :i]`, '3\n2\n1');
+            await logoPrint(`make "n 2 for [i :n :n * 2 - 1] [print :i]`, '2\n3');
+        });
+        it('should make the for variable local', async function() {
+            await logoTry(`for [i 1 3] [] print :i`, NoValueError);
+        });
+        it('should loop with while and until', async function() {
+            await logoPrint(`make "n 0 while [:n < 3] [make "n :n + 1 print :n]`, '1\n2\n3');
+            await logoPrint(`make "n 0 until [:n = 2] [make "n :n + 1 print :n]`, '1\n2');
+        });
+        it('should run do.while and do.until at least once', async function() {
+            await logoPrint(`do.while [print "once] [false]`, 'once');
+            await logoPrint(`do.until [print "once] [true]`, 'once');
+            await logoPrint(`make "n 0 do.while [make "n :n + 1 print :n] [:n < 2]`, '1\n2');
+        });
+        it('should reject non-boolean loop conditions', async function() {
+            await logoTry(`while [1] []`, BadInputError);
+        });
+        it('should output from inside loops', async function() {
+            let source = `
+            to find :n
+                for [i 1 100] [if :i * :i > :n [output :i]]
+                output "none
+            end
+            to count.up
+                make "n 0
+                while [true] [make "n :n + 1 if :n = 5 [output :n]]
+            end
+            testout list find 50 count.up
+            `;
+            await logoTest(source, List.of(8, 5));
+        });
+        it('should stop from inside loops', async function() {
+            let source = `
+            to early
+                do.until [print "ran stop] [false]
+                print "unreachable
+            end
+            early
+            `;
+            await logoPrint(source, 'ran');
+        });
+        it('should run iftrue and iffalse after test', async function() {
+            await logoPrint(`
+            to check :n
+                test :n > 0
+                iftrue [print "positive]
+                iffalse [print "other]
+            end
+            check 1 check -1`, 'positive\nother');
+        });
+        it('should fail iftrue without test', async function() {
+            await logoTry(`iftrue [print 1]`, LogoError);
+        });
+        it('should pick clauses with case', async function() {
+            let source = `
+            to kind :x
+                output case :x [[[a e i o u] "vowel] [[y] "sometimes] [else "consonant]]
+            end
+            testout (list kind "a kind "y kind "z)
+            `;
+            await logoTest(source, List.of('vowel', 'sometimes', 'consonant'));
+        });
+        it('should pick clauses with cond', async function() {
+            let source = `
+            to sign :x
+                output cond [[[:x < 0] "negative] [[:x = 0] "zero] [else "positive]]
+            end
+            testout (list sign -5 sign 0 sign 5)
+            `;
+            await logoTest(source, List.of('negative', 'zero', 'positive'));
+        });
+        it('should ignore values', async function() {
+            await logoTest(`ignore 42 testout "ok`, 'ok');
         });
     });
     describe("Procedure samples", function() {
@@ -569,11 +2437,11 @@ describe('Logo', function() {
     describe('Toplevel stuff checks', function() {
         it('should not allow stop at toplevel', async function() {
             let source = `stop`;
-            await logoTry(source, SyntaxError);
+            await logoTry(source, LogoSyntaxError);
         });
         it('should not allow stop at toplevel', async function() {
             let source = `output 42`;
-            await logoTry(source, SyntaxError);
+            await logoTry(source, LogoSyntaxError);
         });
     });
     describe('Variable vs procedure namespaces', function() {